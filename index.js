@@ -1,5 +1,27 @@
 export { SkinViewer } from './src/core/SkinViewer.js';
+export { Character } from './src/objects/Character.js';
 export { EditorPlugin } from './src/plugins/EditorPlugin.js';
 export { EffectsPlugin } from './src/plugins/EffectsPlugin.js';
 export { ItemsPlugin } from './src/plugins/ItemsPlugin.js';
-export { IOPlugin } from './src/plugins/IOPlugin.js';
\ No newline at end of file
+export { IOPlugin } from './src/plugins/IOPlugin.js';
+export { AnimationPlugin } from './src/plugins/AnimationPlugin.js';
+export { Easing } from './src/utils/Easing.js';
+export { CAMERA_VIEWS } from './src/managers/CameraManager.js';
+export { ArmorPlugin } from './src/plugins/ArmorPlugin.js';
+export { PaintPlugin } from './src/plugins/PaintPlugin.js';
+export { ExportPlugin } from './src/plugins/ExportPlugin.js';
+export { RecorderPlugin } from './src/plugins/RecorderPlugin.js';
+export { GifEncoder } from './src/utils/GifEncoder.js';
+export { ApngEncoder } from './src/utils/ApngEncoder.js';
+export { SourceManager } from './src/managers/SourceManager.js';
+export { createTemplateResolver, createMinotarResolver, createMojangResolver, createCapesDevResolver } from './src/utils/SourceResolvers.js';
+export { ResourceCache, sharedCache } from './src/managers/ResourceCache.js';
+export { PoseLibraryPlugin } from './src/plugins/PoseLibraryPlugin.js';
+export { MemoryPoseStorage, LocalStoragePoseStorage } from './src/utils/PoseStorage.js';
+export { PosePresets } from './src/utils/PosePresets.js';
+export { mirrorPose } from './src/utils/PoseUtils.js';
+export { IKPlugin } from './src/plugins/IKPlugin.js';
+export { DEFAULT_JOINT_LIMITS, clampRotation } from './src/utils/JointLimits.js';
+export { ShortcutsPlugin, DEFAULT_KEYMAP } from './src/plugins/ShortcutsPlugin.js';
+export { renderAvatar } from './src/utils/AvatarRenderer.js';
+export { getSkinParts, getBoxFaces } from './src/utils/SkinLayout.js';
@@ -1,11 +1,12 @@
 import * as THREE from 'three';
 import { CameraManager } from '../managers/CameraManager.js';
 import { SceneSetup } from '../objects/SceneSetup.js';
-import { SkinModel } from '../objects/SkinModel.js';
-import { detectSlimSkin } from '../utils/SkinUtils.js';
+import { Character } from '../objects/Character.js';
+import { detectSlimSkin, detectSkinLayout } from '../utils/SkinUtils.js';
 import {disposeObjectTree} from "../utils/ThreeUtils.js";
 import {EventManager} from "../managers/EventManager.js";
-import {createPlaceholderTexture} from "../utils/TextureUtils.js";
+import { SourceManager } from '../managers/SourceManager.js';
+import {createPlaceholderTexture, acquireTexture, releaseTexture} from "../utils/TextureUtils.js";
 
 /**
  * Core 3D Viewer class.
@@ -21,6 +22,9 @@ export class SkinViewer {
      * @param {number} [config.bgColor=0x141417] - Background hex color.
      * @param {boolean} [config.cameraEnabled=true] - OrbitControls state.
      * @param {boolean} [config.renderPaused=false] - If true, rendering only happens on interaction/change.
+     * @param {boolean} [config.bendableLimbs=false] - Build arms and legs with elbow/knee joints.
+     * @param {Object|boolean|null} [config.jointLimits=null] - Default rotation limits of new characters
+     *        (true for DEFAULT_JOINT_LIMITS). See SkinModel.setJointLimits().
      */
     constructor(containerElement, config = {}) {
         this.container = containerElement;
@@ -30,11 +34,15 @@ export class SkinViewer {
             bgColor: config.bgColor ?? 0x141417,
             cameraEnabled: config.cameraEnabled ?? true,
             renderPaused: config.renderPaused ?? false,
+            bendableLimbs: config.bendableLimbs ?? false,
+            jointLimits: config.jointLimits ?? null,
             ...config
         };
 
-        this.skinData = null;
-        this.capeData = null;
+        /** @type {Array<Character>} Characters in the scene, in creation order. */
+        this.characters = [];
+        /** @type {Character|null} Character that loaders, setPose and single-model plugins act on. */
+        this.activeCharacter = null;
 
         /** @type {Map<string, Object>} Registered plugins. */
         this.plugins = new Map();
@@ -45,12 +53,18 @@ export class SkinViewer {
         this.isVisible = true;
         this.needsRender = true;
 
+        /** @type {THREE.Clock} Frame timer passed to plugin update() hooks. */
+        this.clock = new THREE.Clock();
+
         this.events = new EventManager();
 
         this.on = this.events.on.bind(this.events);
         this.off = this.events.off.bind(this.events);
         this.emit = this.events.emit.bind(this.events);
 
+        /** @type {SourceManager} Resolvers used by loadSkinByUsername/loadCapeByUsername. */
+        this.sources = new SourceManager();
+
         // --- 1. RENDERER SETUP ---
         this.renderer = new THREE.WebGLRenderer({
             antialias: true,
@@ -74,9 +88,6 @@ export class SkinViewer {
             this.scene.background = new THREE.Color(this.config.bgColor);
         }
 
-        this.skinModel = new SkinModel();
-        this.scene.add(this.skinModel.getGroup());
-
         this.overlayScene = new THREE.Scene();
 
         this.sceneSetup = new SceneSetup(this.scene);
@@ -86,8 +97,10 @@ export class SkinViewer {
             this.needsRender = true;
         });
         this.cameraManager.setEnabled(this.config.cameraEnabled);
+        // Plugins holding the camera (post-processing, gizmo) follow perspective/orthographic switches
+        this.cameraManager.addEventListener('projectionchange', ({ camera }) => this.emit('camera:projection', camera));
 
-        this.loadPlaceholderSkin();
+        this.addCharacter({ id: 'main' });
 
         this.observer = new IntersectionObserver((entries) => {
             if (entries[0].isIntersecting) {
@@ -106,6 +119,21 @@ export class SkinViewer {
         this.animate();
     }
 
+    /** @type {SkinModel|null} Model of the active character. */
+    get skinModel() { return this.activeCharacter?.skinModel ?? null; }
+
+    /** Skin source of the active character. */
+    get skinData() { return this.activeCharacter?.skinData ?? null; }
+
+    /** Cape source of the active character. */
+    get capeData() { return this.activeCharacter?.capeData ?? null; }
+
+    /** Elytra source of the active character. */
+    get elytraData() { return this.activeCharacter?.elytraData ?? null; }
+
+    /** Cached textures held by the active character. */
+    get textures() { return this.activeCharacter?.textures ?? { skin: null, cape: null, elytra: null }; }
+
     /**
      * Manually requests a frame to be rendered.
      * Use this when changing model properties via code.
@@ -139,172 +167,530 @@ export class SkinViewer {
         return this.plugins.get(name);
     }
 
-    loadPlaceholderSkin() {
+    // --- CHARACTERS ---
+
+    /**
+     * Adds a character (with the placeholder skin) to the scene.
+     * Loaders (loadSkin, loadCape...), setPose and plugins working on a single model act on the active character.
+     * @param {Object} [options]
+     * @param {string} [options.id] - Unique id (generated if omitted).
+     * @param {string} [options.name] - Display name.
+     * @param {{pos?: number[], rot?: number[], scl?: number[]}} [options.transform] - Placement in the scene.
+     * @param {boolean} [options.activate=true] - Make it the active character.
+     * @param {Object|boolean|null} [options.jointLimits] - Rotation limits of its rig (defaults to config.jointLimits).
+     * @returns {Character}
+     */
+    addCharacter(options = {}) {
+        let id = options.id;
+        if (!id) {
+            let i = this.characters.length + 1;
+            while (this.getCharacter(`character-${i}`)) i++;
+            id = `character-${i}`;
+        }
+        if (this.getCharacter(id)) throw new Error(`Character "${id}" already exists`);
+
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
+        const character = new Character({ id, name: options.name });
+        character.setTransform(options.transform);
+        character.skinModel.setJointLimits(options.jointLimits ?? this.config.jointLimits);
+        this.characters.push(character);
+        this.scene.add(character.group);
+
+        this.loadPlaceholderSkin(character);
+        this.emit('character:added', character);
+
+        if (options.activate ?? true) this.setActiveCharacter(id);
+
+        const fxPlugin = this.getPlugin('EffectsPlugin');
+        if (fxPlugin) {
+            fxPlugin.forceUpdate();
+        }
+
+        this.requestRender();
+        return character;
+    }
+
+    /**
+     * Removes a character. The last character can't be removed.
+     * @param {string} id
+     */
+    removeCharacter(id) {
+        const character = this.getCharacter(id);
+        if (!character) return;
+        if (this.characters.length === 1) throw new Error('Cannot remove the last character');
+
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor) {
+            editor.saveHistory();
+            editor.deselect();
+        }
+
+        this.characters = this.characters.filter(c => c !== character);
+        if (this.activeCharacter === character) this.setActiveCharacter(this.characters[0].id);
+
+        // Plugins drop their per-character state on this event, before the model is disposed
+        this.emit('character:removed', character);
+        character.dispose();
+        this.requestRender();
+    }
+
+    /**
+     * @returns {Array<Character>}
+     */
+    getCharacters() {
+        return [...this.characters];
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Character|null}
+     */
+    getCharacter(id) {
+        return this.characters.find(c => c.id === id) ?? null;
+    }
+
+    /**
+     * Finds the character an object (body part, mesh, attached item) belongs to.
+     * @param {THREE.Object3D} object
+     * @returns {Character|null}
+     */
+    getCharacterOf(object) {
+        for (let obj = object; obj; obj = obj.parent) {
+            if (obj.userData.characterId !== undefined) return this.getCharacter(obj.userData.characterId);
+        }
+        return null;
+    }
+
+    /**
+     * Makes a character the target of loaders, setPose and single-model plugins (Paint, IK, poses, animation).
+     * @param {string} id
+     */
+    setActiveCharacter(id) {
+        const character = this.getCharacter(id);
+        if (!character) throw new Error(`Unknown character "${id}"`);
+        if (character === this.activeCharacter) return;
+
+        this.activeCharacter = character;
+        this.emit('character:active', character);
+        this.requestRender();
+    }
+
+    /**
+     * Places a character in the scene.
+     * @param {string} id
+     * @param {{pos?: number[], rot?: number[], scl?: number[]}} transform
+     * @param {boolean} [recordHistory=true] - Push an undo entry (EditorPlugin).
+     */
+    setCharacterTransform(id, transform, recordHistory = true) {
+        const character = this.getCharacter(id);
+        if (!character) throw new Error(`Unknown character "${id}"`);
+
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor && recordHistory) editor.saveHistory();
+
+        character.setTransform(transform);
+        this.requestRender();
+    }
+
+    /**
+     * Sets the rotation limits of a character rig. The current pose is clamped to them.
+     * @param {Object|boolean|null} limits - Per-part limits, true for DEFAULT_JOINT_LIMITS, null to remove them.
+     *        See SkinModel.setJointLimits().
+     * @param {string} [id] - Character id (defaults to the active character).
+     */
+    setJointLimits(limits, id = this.activeCharacter.id) {
+        const character = this.getCharacter(id);
+        if (!character) throw new Error(`Unknown character "${id}"`);
+
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
+        const model = character.skinModel;
+        model.setJointLimits(limits);
+        Object.keys(model.parts).forEach(name => model.clampToLimits(name));
+        this.requestRender();
+    }
+
+    /**
+     * Resets a character to the placeholder skin, without cape and elytra.
+     * @param {Character} [character] - Defaults to the active character.
+     */
+    loadPlaceholderSkin(character = this.activeCharacter) {
         const placeholderTex = createPlaceholderTexture();
-        this.skinData = null;
-        this.resetCape();
-        this.skinModel.build(placeholderTex, false, false);
+        character.skinData = null;
+        this._clearCape(character);
+        this._clearElytra(character);
+        character.skinModel.build(placeholderTex, false, false, undefined, { bendableLimbs: this.config.bendableLimbs });
+        character.holdTexture('skin', null);
+        this.emit('model:rebuilt', character.skinModel);
         this.requestRender();
     }
 
     /**
      * Loads a skin from URL.
      * @param {string} imageUrl
+     * @param {Character} [character] - Defaults to the active character.
      * @returns {Promise<boolean>} isSlim
      */
-    loadSkin(imageUrl) {
+    loadSkin(imageUrl, character = this.activeCharacter) {
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
         this.emit('skin:loading', imageUrl);
 
-        return new Promise((resolve, reject) => {
-            const loader = new THREE.TextureLoader();
-            loader.setCrossOrigin('anonymous');
+        return acquireTexture(imageUrl).then((texture) => {
+            if (this.isDisposed || !this.characters.includes(character)) {
+                releaseTexture(texture);
+                return false;
+            }
 
-            loader.load(imageUrl, (texture) => {
-                if (this.isDisposed) {
-                    texture.dispose();
-                    return;
-                }
+            const model = character.skinModel;
+            const currentPose = model.getPose();
+            const layout = detectSkinLayout(texture.image);
+            // Legacy skins predate the slim model
+            const isSlim = !layout.legacy && detectSlimSkin(texture.image, layout.scale);
 
-                texture.magFilter = THREE.NearestFilter;
-                texture.colorSpace = THREE.SRGBColorSpace;
+            const editor = this.getPlugin('EditorPlugin');
+            if (editor) editor.deselect();
 
-                const currentPose = this.skinModel.getPose();
-                const isSlim = detectSlimSkin(texture.image);
+            model.build(texture, isSlim, true, layout, { bendableLimbs: this.config.bendableLimbs });
+            model.setPose(currentPose);
+            character.holdTexture('skin', texture);
+            character.skinData = { type: 'url', value: imageUrl };
+            this.emit('model:rebuilt', model);
 
-                const editor = this.getPlugin('EditorPlugin');
-                if (editor) editor.deselect();
+            const fxPlugin = this.getPlugin('EffectsPlugin');
+            if (fxPlugin) {
+                fxPlugin.forceUpdate();
+            }
 
-                this.skinModel.build(texture, isSlim, true);
-                this.skinModel.setPose(currentPose);
-                this.skinData = { type: 'url', value: imageUrl };
+            this.requestRender();
 
-                const fxPlugin = this.getPlugin('EffectsPlugin');
-                if (fxPlugin) {
-                    fxPlugin.forceUpdate();
-                }
+            this.emit('skin:loaded', { isSlim, texture, legacy: layout.legacy, scale: layout.scale });
 
-                this.requestRender();
+            return isSlim;
+        }, (err) => {
+            this.emit('skin:error', err);
+            throw err;
+        });
+    }
 
-                this.emit('skin:loaded', { isSlim, texture });
+    /**
+     * Loads a skin by player name through the registered skin resolvers (see SourceManager).
+     * @param {string} username
+     * @param {Object} [options]
+     * @param {string} [options.resolver] - Resolver to try first, before the configured order.
+     * @param {Character} [options.character] - Defaults to the active character.
+     * @returns {Promise<boolean>} isSlim
+     */
+    loadSkinByUsername(username, options = {}) {
+        return this.loadSkinFromSource({ type: 'username', value: username, resolver: options.resolver }, options.character);
+    }
 
-                resolve(isSlim);
-            }, undefined, (err) => {
-                this.emit('skin:error', err);
-                reject(err);
-            });
-        });
+    /**
+     * Loads a skin by player UUID through the registered skin resolvers.
+     * @param {string} uuid - With or without dashes.
+     * @param {Object} [options]
+     * @param {string} [options.resolver] - Resolver to try first.
+     * @param {Character} [options.character] - Defaults to the active character.
+     * @returns {Promise<boolean>} isSlim
+     */
+    loadSkinByUUID(uuid, options = {}) {
+        return this.loadSkinFromSource({ type: 'uuid', value: uuid, resolver: options.resolver }, options.character);
     }
 
-    loadSkinByUsername(username) {
-        this.skinData = { type: 'username', value: username };
-        const url = `https://minotar.net/skin/${username}.png?v=${Date.now()}`;
+    /**
+     * Loads a skin from a source descriptor, as stored in skinData.
+     * @param {{type: 'url'|'username'|'uuid', value: string, resolver?: string}} source
+     * @param {Character} [character] - Defaults to the active character.
+     * @returns {Promise<boolean>} isSlim
+     */
+    async loadSkinFromSource(source, character = this.activeCharacter) {
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
+        if (source.type === 'url') return this.loadSkin(source.value, character);
 
-        return this.loadSkin(url).then(res => {
-            this.skinData = { type: 'username', value: username };
-            return res;
-        });
+        let isSlim = false;
+        let result;
+        try {
+            result = await this.sources.resolve('skin', this._sourceQuery(source), {
+                preferred: source.resolver,
+                load: async (url) => { isSlim = await this.loadSkin(url, character); }
+            });
+        } catch (e) {
+            this.emit('skin:error', e);
+            throw e;
+        }
+
+        if (!result) {
+            const err = new Error(`No skin found for ${source.type} "${source.value}"`);
+            this.emit('skin:error', err);
+            throw err;
+        }
+
+        character.skinData = { type: source.type, value: source.value, resolver: result.resolver };
+        return isSlim;
     }
 
     /**
      * Loads a cape from URL.
      * @param {string} imageUrl
+     * @param {Character} [character] - Defaults to the active character.
+     * @returns {Promise<boolean>} False if the viewer or the character was disposed while loading.
      */
-    loadCape(imageUrl) {
-        return new Promise((resolve, reject) => {
-            const loader = new THREE.TextureLoader();
-            loader.setCrossOrigin('anonymous');
-
-            loader.load(
-                imageUrl,
-                (texture) => {
-                    if (this.isDisposed) {
-                        texture.dispose();
-                        return;
-                    }
-
-                    texture.magFilter = THREE.NearestFilter;
-                    texture.colorSpace = THREE.SRGBColorSpace;
-
-                    texture.needsUpdate = true;
-
-                    this.skinModel.setCape(texture);
-
-                    const fxPlugin = this.getPlugin('EffectsPlugin');
-                    if (fxPlugin) {
-                        fxPlugin.forceUpdate();
-                    }
-
-                    this.capeData = { type: 'url', value: imageUrl };
-
-                    this.requestRender();
-                    this.emit('cape:loaded', imageUrl);
-                    resolve();
-                },
-                undefined,
-                (err) => {
-                    console.error("Error loading cape texture:", err);
-                    reject(err);
+    loadCape(imageUrl, character = this.activeCharacter) {
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
+        return acquireTexture(imageUrl).then(
+            (texture) => {
+                if (this.isDisposed || !this.characters.includes(character)) {
+                    releaseTexture(texture);
+                    return false;
                 }
-            );
-        });
+
+                character.skinModel.setCape(texture);
+                character.holdTexture('cape', texture);
+
+                // Elytra that borrows the cape texture follows cape changes
+                if (character.elytraData?.type === 'cape') {
+                    character.skinModel.setElytra(texture);
+                }
+
+                const fxPlugin = this.getPlugin('EffectsPlugin');
+                if (fxPlugin) {
+                    fxPlugin.forceUpdate();
+                }
+
+                character.capeData = { type: 'url', value: imageUrl };
+
+                this.requestRender();
+                this.emit('cape:loaded', imageUrl);
+                return true;
+            },
+            (err) => {
+                console.error("Error loading cape texture:", err);
+                throw err;
+            }
+        );
     }
 
 
     /**
-     * Loads a cape by username using capes.dev API.
-     * Supports Official, Optifine, LabyMod, etc.
+     * Loads a cape by player name through the registered cape resolvers (see SourceManager).
      * @param {string} username
+     * @param {Object} [options]
+     * @param {string} [options.resolver] - Resolver to try first, before the configured order.
+     * @param {Character} [options.character] - Defaults to the active character.
+     * @returns {Promise<boolean>} False if the player has no cape or loading failed.
      */
-    async loadCapeByUsername(username) {
-        this.emit('cape:loading', username);
+    loadCapeByUsername(username, options = {}) {
+        return this.loadCapeFromSource({ type: 'username', value: username, resolver: options.resolver }, options.character);
+    }
 
-        try {
-            const response = await fetch(`https://api.capes.dev/load/${username}`);
+    /**
+     * Loads a cape by player UUID through the registered cape resolvers.
+     * @param {string} uuid - With or without dashes.
+     * @param {Object} [options]
+     * @param {string} [options.resolver] - Resolver to try first.
+     * @param {Character} [options.character] - Defaults to the active character.
+     * @returns {Promise<boolean>}
+     */
+    loadCapeByUUID(uuid, options = {}) {
+        return this.loadCapeFromSource({ type: 'uuid', value: uuid, resolver: options.resolver }, options.character);
+    }
 
-            if (!response.ok) {
-                throw new Error(`User not found in capes.dev (Status: ${response.status})`);
-            }
+    /**
+     * Loads a cape from a source descriptor, as stored in capeData.
+     * @param {{type: 'url'|'username'|'uuid', value: string, resolver?: string}} source
+     * @param {Character} [character] - Defaults to the active character.
+     * @returns {Promise<boolean>}
+     */
+    async loadCapeFromSource(source, character = this.activeCharacter) {
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
 
-            const data = await response.json();
-            let capeUrl = null;
-
-            if (data.minecraft?.exists && data.minecraft?.imageUrl) {
-                capeUrl = data.minecraft.imageUrl;
-            } else if (data.optifine?.exists && data.optifine?.imageUrl) {
-                capeUrl = data.optifine.imageUrl;
-            } else if (data.labymod?.exists && data.labymod?.imageUrl) {
-                capeUrl = data.labymod.imageUrl;
-            } else if (data.tlauncher?.exists && data.tlauncher?.imageUrl) {
-                capeUrl = data.tlauncher.imageUrl;
-            }
+        if (source.type === 'url') {
+            await this.loadCape(source.value, character);
+            return true;
+        }
 
-            if (capeUrl) {
-                await this.loadCape(capeUrl);
-                this.capeData = { type: 'username', value: username };
-                return true;
-            } else {
-                this.resetCape();
+        this.emit('cape:loading', source.value);
+
+        try {
+            const result = await this.sources.resolve('cape', this._sourceQuery(source), {
+                preferred: source.resolver,
+                load: (url) => this.loadCape(url, character)
+            });
+
+            if (!result) {
+                this._clearCape(character);
                 return false;
             }
 
+            character.capeData = { type: source.type, value: source.value, resolver: result.resolver };
+            return true;
         } catch (e) {
             this.emit('cape:error', e);
             return false;
         }
     }
 
-    resetCape() {
-        this.skinModel.setCape(null);
-        this.capeData = null;
+    _sourceQuery(source) {
+        return source.type === 'uuid' ? { uuid: source.value } : { username: source.value };
+    }
+
+    /**
+     * Removes the cape.
+     * @param {Character} [character] - Defaults to the active character.
+     */
+    resetCape(character = this.activeCharacter) {
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
+        this._clearCape(character);
+    }
+
+    _clearCape(character) {
+        character.skinModel.setCape(null);
+        character.holdTexture('cape', null);
+        character.capeData = null;
+
+        if (character.elytraData?.type === 'cape') {
+            this._clearElytra(character);
+        }
+
         this.requestRender();
         this.emit('cape:removed');
     }
 
-    setPose(poseData) {
-        // Record history if Editor is present
+    /**
+     * Shows the Elytra.
+     * Without a URL the wings are textured from the currently loaded cape (and follow later cape changes).
+     * @param {string} [imageUrl] - Dedicated elytra texture (cape layout, 64x32).
+     * @param {Character} [character] - Defaults to the active character.
+     * @returns {Promise<boolean>} False if no URL was given and no cape is loaded.
+     */
+    loadElytra(imageUrl, character = this.activeCharacter) {
         const editor = this.getPlugin('EditorPlugin');
         if (editor) editor.saveHistory();
 
+        if (!imageUrl) {
+            const capeMesh = character.skinModel.parts.cape?.children.find(c => c.isMesh);
+            if (!capeMesh) return Promise.resolve(false);
+
+            character.skinModel.setElytra(capeMesh.material.map);
+            character.holdTexture('elytra', null);
+            character.elytraData = { type: 'cape' };
+            this._onElytraChanged(character);
+            return Promise.resolve(true);
+        }
+
+        return acquireTexture(imageUrl).then((texture) => {
+            if (this.isDisposed || !this.characters.includes(character)) {
+                releaseTexture(texture);
+                return false;
+            }
+
+            character.skinModel.setElytra(texture);
+            character.holdTexture('elytra', texture);
+            character.elytraData = { type: 'url', value: imageUrl };
+            this._onElytraChanged(character);
+            return true;
+        }, (err) => {
+            this.emit('elytra:error', err);
+            throw err;
+        });
+    }
+
+    /**
+     * Rotates the elytra wings to a preset.
+     * @param {'folded'|'gliding'|'spread'} state
+     */
+    setElytraState(state) {
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
+        this.skinModel.setElytraState(state);
+        this.requestRender();
+    }
+
+    /**
+     * Removes the elytra.
+     * @param {Character} [character] - Defaults to the active character.
+     */
+    resetElytra(character = this.activeCharacter) {
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
+        this._clearElytra(character);
+    }
+
+    _clearElytra(character) {
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor && character.elytraData) editor.deselect();
+
+        character.skinModel.setElytra(null);
+        character.holdTexture('elytra', null);
+        character.elytraData = null;
+        this.requestRender();
+        this.emit('elytra:removed');
+    }
+
+    _onElytraChanged(character) {
+        const fxPlugin = this.getPlugin('EffectsPlugin');
+        if (fxPlugin) {
+            fxPlugin.forceUpdate();
+        }
+
+        this.requestRender();
+        this.emit('elytra:loaded', character.elytraData);
+    }
+
+    /**
+     * Rebuilds the characters with or without elbow/knee joints, keeping their skins and poses.
+     * Bends are dropped when switching back to rigid limbs.
+     * @param {boolean} enabled
+     */
+    setBendableLimbs(enabled) {
+        this.config.bendableLimbs = enabled;
+
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor) {
+            editor.saveHistory();
+            editor.deselect();
+        }
+
+        this.characters.forEach(({ skinModel: model }) => {
+            if (model.bendableLimbs === enabled || !model.texture) return;
+
+            const currentPose = model.getPose();
+            model.build(model.texture, model.isSlim, model.renderVoxels, model.layout, { bendableLimbs: enabled });
+            model.setPose(currentPose);
+            this.emit('model:rebuilt', model);
+        });
+
+        const fxPlugin = this.getPlugin('EffectsPlugin');
+        if (fxPlugin) {
+            fxPlugin.forceUpdate();
+        }
+
+        this.requestRender();
+    }
+
+    /**
+     * Applies a pose to the active character.
+     * @param {Object} poseData - Pose in SkinModel.getPose() format.
+     * @param {boolean} [recordHistory=true] - Push an undo entry (EditorPlugin). Disable for per-frame updates.
+     */
+    setPose(poseData, recordHistory = true) {
+        // Record history if Editor is present
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor && recordHistory) editor.saveHistory();
+
         this.skinModel.setPose(poseData);
         this.requestRender();
     }
@@ -314,6 +700,9 @@ export class SkinViewer {
      * @param {Object} config - { global, main, fill }
      */
     setEnvironment(config) {
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
         this.sceneSetup.setLightConfig(config);
         this.requestRender();
     }
@@ -326,6 +715,9 @@ export class SkinViewer {
      * @param {string|number} [config.bgColor] - Hex color
      */
     updateConfig(config) {
+        const editor = this.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
         this.config = { ...this.config, ...config };
 
         if (config.showGrid !== undefined) {
@@ -368,6 +760,12 @@ export class SkinViewer {
 
         this.cameraManager.update();
 
+        // Clamp delta so a long pause (hidden tab, offscreen) doesn't cause a jump
+        const delta = Math.min(this.clock.getDelta(), 0.1);
+        this.plugins.forEach(p => {
+            if (p.update) p.update(delta);
+        });
+
         if (this.config.renderPaused && !this.needsRender) {
             return;
         }
@@ -384,6 +782,10 @@ export class SkinViewer {
         this.renderer.clearDepth();
         this.renderer.render(this.overlayScene, this.cameraManager.camera);
 
+        this.plugins.forEach(p => {
+            if (p.afterRender) p.afterRender();
+        });
+
         this.needsRender = false;
     }
 
@@ -397,14 +799,15 @@ export class SkinViewer {
         });
         this.plugins.clear();
 
-        if (this.skinModel) {
-            this.skinModel.dispose();
-        }
+        this.characters.forEach(character => character.dispose());
+        this.characters = [];
+        this.activeCharacter = null;
 
         disposeObjectTree(this.scene);
         disposeObjectTree(this.overlayScene);
 
         if (this.cameraManager) {
+            this.cameraManager.stopTransition();
             this.cameraManager.controls.dispose();
         }
 
@@ -1,10 +1,37 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { resolveEasing } from '../utils/Easing.js';
+
+/**
+ * Built-in named views, in getSettingsJSON() format, for a character standing at the origin.
+ * The character faces +Z and its left side is +X.
+ */
+export const CAMERA_VIEWS = {
+    front: { position: [0, 0, 45], target: [0, 0, 0], fov: 45 },
+    back: { position: [0, 0, -45], target: [0, 0, 0], fov: 45 },
+    left: { position: [45, 0, 0], target: [0, 0, 0], fov: 45 },
+    right: { position: [-45, 0, 0], target: [0, 0, 0], fov: 45 },
+    // Slightly in front, straight above can't be orbited from
+    top: { position: [0, 45, 0.01], target: [0, 0, 0], fov: 45 },
+    threeQuarter: { position: [20, 10, 40], target: [0, 0, 0], fov: 45 },
+    face: { position: [0, 5, 22], target: [0, 4, 0], fov: 30 },
+    // True isometric: orthographic, looking down the cube diagonal (35.26° below the horizon, 45° around)
+    isometric: { projection: 'orthographic', position: [40, 32, 40], target: [0, -8, 0], height: 40 }
+};
+
+/**
+ * Minimum distance of the orthographic camera from its target. Zooming doesn't move an orthographic camera,
+ * so it's kept far enough back for the near plane not to cut the model.
+ */
+const ORTHO_DISTANCE = 200;
 
 /**
  * Wraps Three.js Camera and OrbitControls.
+ * The projection can be perspective or orthographic (setProjection()); `camera` is the one in use.
+ * Camera moves can be animated with transitionTo(); frames are requested through onChange while they run.
+ * Dispatches 'projectionchange' ({camera}) when the camera in use changes.
  */
-export class CameraManager {
+export class CameraManager extends THREE.EventDispatcher {
 
     /**
      * @param {HTMLElement} domElement
@@ -13,49 +40,347 @@ export class CameraManager {
      * @param {Function} [onChange] - Callback fired when camera moves
      */
     constructor(domElement, width, height, onChange) {
+        super();
         this.defaultFOV = 45;
         this.defaultPosition = new THREE.Vector3(20, 10, 40);
         this.defaultTarget = new THREE.Vector3(0, 0, 0);
+        this.aspect = width / height;
 
-        this.camera = new THREE.PerspectiveCamera(this.defaultFOV, width / height, 0.1, 1000);
-        this.camera.position.copy(this.defaultPosition);
+        this.perspectiveCamera = new THREE.PerspectiveCamera(this.defaultFOV, this.aspect, 0.1, 1000);
+        this.perspectiveCamera.position.copy(this.defaultPosition);
+
+        // Frustum height at zoom 1; OrbitControls zooms orthographic cameras through camera.zoom
+        this.orthoSize = this._heightAt(this.defaultPosition.distanceTo(this.defaultTarget), this.defaultFOV);
+        this.orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+        this._updateOrthoFrustum();
+
+        /** @type {'perspective'|'orthographic'} */
+        this.projection = 'perspective';
+        /** @type {THREE.PerspectiveCamera|THREE.OrthographicCamera} Camera in use. */
+        this.camera = this.perspectiveCamera;
 
         this.controls = new OrbitControls(this.camera, domElement);
         this.controls.enableDamping = true;
         this.controls.dampingFactor = 0.05;
         this.controls.target.copy(this.defaultTarget);
 
+        this.onChange = onChange || null;
         if (onChange) this.controls.addEventListener('change', onChange);
+
+        /** @type {Object<string, Object>} Named views (see CAMERA_VIEWS). */
+        this.views = { ...CAMERA_VIEWS };
+        /** @type {Object|null} Running transition. */
+        this.transition = null;
+
+        // Grabbing the camera stops a running transition
+        this.controls.addEventListener('start', () => this.stopTransition());
     }
 
-    update() { this.controls.update(); }
-    onResize(width, height) { this.camera.aspect = width / height; this.camera.updateProjectionMatrix(); }
-    setFOV(value) { this.camera.fov = value; this.camera.updateProjectionMatrix(); }
+    update() {
+        if (this.transition) this._stepTransition();
+        this.controls.update();
+    }
+    onResize(width, height) {
+        this.aspect = width / height;
+        this.perspectiveCamera.aspect = this.aspect;
+        this.perspectiveCamera.updateProjectionMatrix();
+        this._updateOrthoFrustum();
+    }
+    /** Perspective field of view, in degrees. Orthographic views keep their height. */
+    setFOV(value) { this.perspectiveCamera.fov = value; this.perspectiveCamera.updateProjectionMatrix(); }
+    /** Distance to the target; in orthographic mode, the height a perspective camera would see from there. */
     setDistance(distance) {
+        if (this.projection === 'orthographic') {
+            this._setViewHeight(this._heightAt(distance, this.perspectiveCamera.fov));
+            return;
+        }
         const direction = new THREE.Vector3().subVectors(this.camera.position, this.controls.target).normalize();
         this.camera.position.copy(this.controls.target).add(direction.multiplyScalar(distance));
     }
     setEnabled(enabled) { this.controls.enabled = enabled; }
-    reset() {
-        this.setFOV(this.defaultFOV);
-        this.camera.position.copy(this.defaultPosition);
-        this.controls.target.copy(this.defaultTarget);
+    /**
+     * Moves the camera back to its default position, target and FOV.
+     * @param {number} [duration=0] - Transition length in ms (0 = instant).
+     * @param {string|Function} [easing='easeInOutCubic']
+     * @returns {Promise<boolean>} See transitionTo().
+     */
+    reset(duration = 0, easing = 'easeInOutCubic') {
+        return this.transitionTo({
+            fov: this.defaultFOV,
+            position: this.defaultPosition,
+            target: this.defaultTarget
+        }, duration, easing);
+    }
+
+    // --- PROJECTION ---
+
+    /**
+     * Switches between perspective and orthographic projection. The framing is kept:
+     * the height visible at the orbit target stays the same.
+     * @param {'perspective'|'orthographic'} projection
+     */
+    setProjection(projection) {
+        if (projection !== 'perspective' && projection !== 'orthographic') {
+            throw new Error(`Unknown projection "${projection}"`);
+        }
+        if (projection === this.projection) return;
+
+        const height = this.getViewHeight();
+        const next = projection === 'orthographic' ? this.orthographicCamera : this.perspectiveCamera;
+        next.position.copy(this.camera.position);
+        next.quaternion.copy(this.camera.quaternion);
+
+        this.camera = next;
+        this.projection = projection;
+        this.controls.object = next;
+        this._setViewHeight(height);
         this.controls.update();
+
+        this.dispatchEvent({ type: 'projectionchange', camera: next });
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * @returns {number} Height of the scene visible at the orbit target, in model units.
+     */
+    getViewHeight() {
+        if (this.projection === 'orthographic') {
+            return this.orthoSize / this.orthographicCamera.zoom;
+        }
+        return this._heightAt(this.camera.position.distanceTo(this.controls.target), this.perspectiveCamera.fov);
+    }
+
+    _setViewHeight(height) {
+        const direction = new THREE.Vector3().subVectors(this.camera.position, this.controls.target).normalize();
+
+        if (this.projection === 'orthographic') {
+            this.orthographicCamera.zoom = this.orthoSize / height;
+            this.orthographicCamera.updateProjectionMatrix();
+
+            const distance = Math.max(this.camera.position.distanceTo(this.controls.target), ORTHO_DISTANCE);
+            this.camera.position.copy(this.controls.target).add(direction.multiplyScalar(distance));
+        } else {
+            const distance = height / 2 / Math.tan(THREE.MathUtils.degToRad(this.perspectiveCamera.fov) / 2);
+            this.camera.position.copy(this.controls.target).add(direction.multiplyScalar(distance));
+        }
+    }
+
+    /** Height a perspective camera sees at a distance. */
+    _heightAt(distance, fov) {
+        return 2 * distance * Math.tan(THREE.MathUtils.degToRad(fov) / 2);
+    }
+
+    _updateOrthoFrustum() {
+        const camera = this.orthographicCamera;
+        camera.top = this.orthoSize / 2;
+        camera.bottom = -this.orthoSize / 2;
+        camera.left = -this.orthoSize * this.aspect / 2;
+        camera.right = this.orthoSize * this.aspect / 2;
+        camera.updateProjectionMatrix();
+    }
+
+    // --- VIEWS & TRANSITIONS ---
+
+    /**
+     * Moves the camera to a named view.
+     * Views without a projection (all but 'isometric') keep the current one.
+     * @param {string} name - 'front', 'back', 'left', 'right', 'top', 'threeQuarter', 'face', 'isometric'
+     *        or one added with addView().
+     * @param {number} [duration=600] - Transition length in ms (0 = instant).
+     * @param {string|Function} [easing='easeInOutCubic']
+     * @returns {Promise<boolean>} See transitionTo().
+     */
+    setView(name, duration = 600, easing = 'easeInOutCubic') {
+        const view = this.views[name];
+        if (!view) throw new Error(`Unknown camera view "${name}"`);
+        return this.transitionTo(view, duration, easing);
+    }
+
+    /**
+     * Adds (or replaces) a named view.
+     * @param {string} name
+     * @param {Object} settings - In getSettingsJSON() format, e.g. the result of getSettingsJSON().
+     */
+    addView(name, settings) {
+        this.views[name] = settings;
+    }
+
+    /**
+     * Tweens the camera position, orbit target and FOV (orthographic: view height). The camera orbits around
+     * the moving target (instead of cutting through the model) and takes the shortest way around.
+     * A different projection is switched to first, keeping the framing; the tween then starts from there.
+     * A new transition, or the user grabbing the camera, stops the running one.
+     * @param {Object} settings - getSettingsJSON() format: {projection, position, target, fov, zoom, height}.
+     *        Arrays or Vector3s; missing values keep their current value, zoom (distance to the target) is used
+     *        when position is omitted. Without a height, orthographic views show what a perspective camera
+     *        would see from the position.
+     * @param {number} [duration=600] - Length in ms (0 = instant).
+     * @param {string|Function} [easing='easeInOutCubic'] - Name from Easing or a custom function.
+     * @returns {Promise<boolean>} Resolves true when the camera arrives, false if the transition was stopped.
+     */
+    transitionTo(settings, duration = 600, easing = 'easeInOutCubic') {
+        this.stopTransition();
+        if (settings.projection) this.setProjection(settings.projection);
+
+        const to = this._resolveSettings(settings);
+        if (duration <= 0) {
+            this._applySettings(to.position, to.target, to.fov, to.height);
+            this.controls.update();
+            if (this.onChange) this.onChange();
+            return Promise.resolve(true);
+        }
+
+        const from = {
+            position: this.camera.position.clone(),
+            target: this.controls.target.clone(),
+            fov: this.perspectiveCamera.fov,
+            height: this.getViewHeight()
+        };
+        const fromOffset = new THREE.Spherical().setFromVector3(from.position.clone().sub(from.target));
+        const toOffset = new THREE.Spherical().setFromVector3(to.position.clone().sub(to.target));
+        // Shortest way around the target
+        const theta = fromOffset.theta + Math.atan2(Math.sin(toOffset.theta - fromOffset.theta), Math.cos(toOffset.theta - fromOffset.theta));
+
+        return new Promise(resolve => {
+            this.transition = {
+                from, to, fromOffset,
+                toOffset: new THREE.Spherical(toOffset.radius, toOffset.phi, theta),
+                start: performance.now(),
+                duration,
+                ease: resolveEasing(easing),
+                resolve
+            };
+            if (this.onChange) this.onChange();
+        });
+    }
+
+    /**
+     * Stops the running transition where it is.
+     */
+    stopTransition() {
+        if (!this.transition) return;
+        const { resolve } = this.transition;
+        this.transition = null;
+        resolve(false);
+    }
+
+    /** @returns {boolean} */
+    isTransitioning() {
+        return this.transition !== null;
+    }
+
+    _stepTransition() {
+        const { from, to, fromOffset, toOffset, start, duration, ease, resolve } = this.transition;
+        const t = Math.min((performance.now() - start) / duration, 1);
+        const k = ease(t);
+
+        const target = from.target.clone().lerp(to.target, k);
+        const offset = new THREE.Spherical(
+            THREE.MathUtils.lerp(fromOffset.radius, toOffset.radius, k),
+            THREE.MathUtils.lerp(fromOffset.phi, toOffset.phi, k),
+            THREE.MathUtils.lerp(fromOffset.theta, toOffset.theta, k)
+        );
+        const position = t < 1 ? target.clone().add(new THREE.Vector3().setFromSpherical(offset)) : to.position;
+        this._applySettings(
+            position,
+            target,
+            THREE.MathUtils.lerp(from.fov, to.fov, k),
+            THREE.MathUtils.lerp(from.height, to.height, k)
+        );
+
+        // Keeps frames coming in render-on-demand mode (the FOV alone doesn't fire a controls change)
+        if (this.onChange) this.onChange();
+
+        if (t >= 1) {
+            this.transition = null;
+            resolve(true);
+        }
+    }
+
+    /**
+     * Fills missing values of a settings object from the current camera.
+     */
+    _resolveSettings(settings) {
+        const vec = (v) => (v ? (v.isVector3 ? v.clone() : new THREE.Vector3().fromArray(v)) : null);
+        const target = vec(settings.target) ?? this.controls.target.clone();
+        let position = vec(settings.position);
+
+        if (!position) {
+            const direction = new THREE.Vector3().subVectors(this.camera.position, this.controls.target).normalize();
+            const distance = settings.zoom ?? this.camera.position.distanceTo(this.controls.target);
+            position = target.clone().add(direction.multiplyScalar(distance));
+        }
+
+        const fov = settings.fov || this.perspectiveCamera.fov;
+        let height = settings.height;
+        if (!height) {
+            height = settings.position || settings.zoom ? this._heightAt(position.distanceTo(target), fov) : this.getViewHeight();
+        }
+
+        return { position, target, fov, height };
+    }
+
+    _applySettings(position, target, fov, height) {
+        this.camera.position.copy(position);
+        this.controls.target.copy(target);
+        if (this.perspectiveCamera.fov !== fov) {
+            this.perspectiveCamera.fov = fov;
+            this.perspectiveCamera.updateProjectionMatrix();
+        }
+        if (this.projection === 'orthographic') this._setViewHeight(height);
+    }
+
+    /**
+     * Centers the orbit target on a box and moves the camera (keeping its direction) so the box fills the view.
+     * @param {THREE.Box3} box - World-space box.
+     * @param {number} [padding=1.2] - Margin factor around the box.
+     * @param {number} [duration=0] - Transition length in ms (0 = instant).
+     * @param {string|Function} [easing='easeInOutCubic']
+     */
+    frameBox(box, padding = 1.2, duration = 0, easing = 'easeInOutCubic') {
+        if (box.isEmpty()) return;
+
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+        const fov = THREE.MathUtils.degToRad(this.perspectiveCamera.fov) / 2;
+        const fitFov = this.aspect < 1 ? Math.atan(Math.tan(fov) * this.aspect) : fov;
+        const distance = Math.max(sphere.radius * padding / Math.sin(fitFov), this.perspectiveCamera.near * 2);
+
+        const direction = new THREE.Vector3().subVectors(this.camera.position, this.controls.target).normalize();
+        this.transitionTo({
+            target: sphere.center,
+            position: sphere.center.clone().add(direction.multiplyScalar(distance)),
+            height: sphere.radius * padding * 2 / Math.min(this.aspect, 1)
+        }, duration, easing);
     }
     getSettingsJSON() {
         const r = (val) => parseFloat(val.toFixed(3));
         const rVec = (v) => [r(v.x), r(v.y), r(v.z)];
-        return {
-            fov: this.camera.fov,
+        const settings = {
+            projection: this.projection,
+            fov: this.perspectiveCamera.fov,
             zoom: r(this.camera.position.distanceTo(this.controls.target)),
             position: rVec(this.camera.position),
             target: rVec(this.controls.target)
         };
+        if (this.projection === 'orthographic') settings.height = r(this.getViewHeight());
+        return settings;
     }
-    loadSettingsJSON(data) {
-        if (data.fov) { this.camera.fov = data.fov; this.camera.updateProjectionMatrix(); }
-        if (data.position) this.camera.position.fromArray(data.position);
-        if (data.target) this.controls.target.fromArray(data.target);
-        this.controls.update();
+    /**
+     * @param {Object} data - Result of getSettingsJSON().
+     * @param {number} [duration=0] - Transition length in ms (0 = instant).
+     * @param {string|Function} [easing='easeInOutCubic']
+     * @returns {Promise<boolean>} See transitionTo().
+     */
+    loadSettingsJSON(data, duration = 0, easing = 'easeInOutCubic') {
+        // Values missing from the data are kept; zoom is already part of the position.
+        // Settings saved before orthographic mode have no projection and load into the current one.
+        const position = data.position ?? this.camera.position;
+        return this.transitionTo({
+            projection: data.projection,
+            fov: data.fov,
+            position,
+            target: data.target,
+            height: data.height ?? (data.position ? undefined : this.getViewHeight())
+        }, duration, easing);
     }
 }
\ No newline at end of file
@@ -5,61 +5,141 @@
 export class HistoryManager {
     /**
      * @param {Function} applyStateCallback - Function to call when a state needs to be restored.
+     * @param {Object} [options]
+     * @param {number} [options.maxHistory=50] - Number of undo steps kept.
+     * @param {Function} [options.onChange] - Called whenever the stacks change.
      */
-    constructor(applyStateCallback) {
+    constructor(applyStateCallback, options = {}) {
         this.undoStack = [];
         this.redoStack = [];
         this.applyState = applyStateCallback;
-        this.maxHistory = 50;
+        this.maxHistory = options.maxHistory ?? 50;
+        this.onChange = options.onChange || null;
+
+        /** @type {number} Nesting level of open transactions. */
+        this.transactionDepth = 0;
+        /** @type {boolean} Whether the open transaction pushed an entry. */
+        this.transactionPushed = false;
     }
 
     /**
      * Pushes a new state snapshot to the history stack.
      * Clears the Redo stack as a new timeline is created.
+     * Ignored inside a transaction (the state from its start is already recorded).
      * @param {Object} state - The snapshot object.
+     * @returns {boolean} True if an entry was added.
      */
     pushState(state) {
+        if (this.transactionDepth > 0) return false;
+
         this.redoStack = [];
         const stateStr = JSON.stringify(state);
 
         // Don't save if state hasn't changed
         if (this.undoStack.length > 0 && this.undoStack[this.undoStack.length - 1] === stateStr) {
-            return;
+            this._notify();
+            return false;
         }
 
         this.undoStack.push(stateStr);
         if (this.undoStack.length > this.maxHistory) {
             this.undoStack.shift();
         }
+
+        this._notify();
+        return true;
+    }
+
+    /**
+     * Starts grouping changes into a single undo step. Transactions can be nested;
+     * only the outermost one records.
+     * @param {Object} state - The state before the grouped changes.
+     */
+    beginTransaction(state) {
+        if (this.transactionDepth === 0) {
+            this.transactionPushed = this.pushState(state);
+        }
+        this.transactionDepth++;
+    }
+
+    /**
+     * Closes a transaction. If nothing changed, its entry is dropped.
+     * @param {Object} state - The state after the grouped changes.
+     */
+    endTransaction(state) {
+        if (this.transactionDepth === 0) return;
+        if (--this.transactionDepth > 0) return;
+
+        const top = this.undoStack[this.undoStack.length - 1];
+        if (this.transactionPushed && top === JSON.stringify(state)) {
+            this.undoStack.pop();
+            this._notify();
+        }
+        this.transactionPushed = false;
     }
 
     /**
      * Reverts to the previous state.
      * @param {Object} currentState - The current state (to save into Redo before undoing).
+     * @returns {*} Result of the apply callback.
      */
     undo(currentState) {
-        if (this.undoStack.length === 0) return;
+        if (this.undoStack.length === 0 || this.transactionDepth > 0) return;
 
         this.redoStack.push(JSON.stringify(currentState));
         const prevStateStr = this.undoStack.pop();
+        this._notify();
 
         if (prevStateStr) {
-            this.applyState(JSON.parse(prevStateStr));
+            return this.applyState(JSON.parse(prevStateStr));
         }
     }
 
     /**
      * Reapplies a previously undone state.
      * @param {Object} currentState - The current state (to save into Undo before redoing).
+     * @returns {*} Result of the apply callback.
      */
     redo(currentState) {
-        if (this.redoStack.length === 0) return;
+        if (this.redoStack.length === 0 || this.transactionDepth > 0) return;
 
         this.undoStack.push(JSON.stringify(currentState));
         const nextStateStr = this.redoStack.pop();
+        this._notify();
 
         if (nextStateStr) {
-            this.applyState(JSON.parse(nextStateStr));
+            return this.applyState(JSON.parse(nextStateStr));
+        }
+    }
+
+    canUndo() { return this.undoStack.length > 0; }
+    canRedo() { return this.redoStack.length > 0; }
+
+    /**
+     * Changes the number of undo steps kept, dropping the oldest ones if needed.
+     * @param {number} maxHistory
+     */
+    setMaxHistory(maxHistory) {
+        this.maxHistory = Math.max(1, maxHistory);
+        if (this.undoStack.length > this.maxHistory) {
+            this.undoStack.splice(0, this.undoStack.length - this.maxHistory);
         }
+        if (this.redoStack.length > this.maxHistory) {
+            this.redoStack.splice(0, this.redoStack.length - this.maxHistory);
+        }
+        this._notify();
+    }
+
+    /**
+     * Empties both stacks.
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this._notify();
+    }
+
+    _notify() {
+        if (this.onChange) this.onChange();
     }
-}
\ No newline at end of file
+}
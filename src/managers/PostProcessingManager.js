@@ -5,6 +5,7 @@ import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
 import { OutlinePass } from 'three/examples/jsm/postprocessing/OutlinePass.js';
+import { CopyShader } from 'three/examples/jsm/shaders/CopyShader.js';
 
 /**
  * Handles the post-processing pipeline (Bloom, Outline, Color Correction).
@@ -13,6 +14,8 @@ export class PostProcessingManager {
     constructor(renderer, scene, camera, width, height) {
         this.scene = scene;
         this.renderer = renderer;
+        this.width = width;
+        this.height = height;
 
         this.INTERNAL_HEIGHT = 1080;
 
@@ -24,7 +27,8 @@ export class PostProcessingManager {
         this.bloomComposer = new EffectComposer(renderer);
         this.bloomComposer.renderToScreen = false;
         this.bloomComposer.setSize(virtualW, virtualH);
-        this.bloomComposer.addPass(new RenderPass(scene, camera));
+        this.bloomRenderPass = new RenderPass(scene, camera);
+        this.bloomComposer.addPass(this.bloomRenderPass);
 
         this.bloomPass = new UnrealBloomPass(new THREE.Vector2(width, height), 1.5, 0.4, 0.85);
         this.bloomComposer.addPass(this.bloomPass);
@@ -32,7 +36,8 @@ export class PostProcessingManager {
         // 2. FINAL COMPOSER
         this.finalComposer = new EffectComposer(renderer);
         this.finalComposer.setSize(width, height);
-        this.finalComposer.addPass(new RenderPass(scene, camera));
+        this.renderPass = new RenderPass(scene, camera);
+        this.finalComposer.addPass(this.renderPass);
 
         // 3. OUTLINE PASS (Selection highlight)
         this.outlinePass = new OutlinePass(new THREE.Vector2(width, height), scene, camera);
@@ -45,7 +50,9 @@ export class PostProcessingManager {
         const MixShader = {
             uniforms: {
                 tDiffuse: { value: null },
-                bloomTexture: { value: null }
+                bloomTexture: { value: null },
+                // Part of the bloom texture under this image (x, y, width, height in UV), for tiled renders
+                bloomRegion: { value: new THREE.Vector4(0, 0, 1, 1) }
             },
             vertexShader: `
                 varying vec2 vUv;
@@ -57,11 +64,12 @@ export class PostProcessingManager {
             fragmentShader: `
                 uniform sampler2D tDiffuse;
                 uniform sampler2D bloomTexture;
+                uniform vec4 bloomRegion;
                 varying vec2 vUv;
                 
                 void main() {
                     vec4 baseColor = texture2D(tDiffuse, vUv);
-                    vec4 bloomColor = texture2D(bloomTexture, vUv);
+                    vec4 bloomColor = texture2D(bloomTexture, bloomRegion.xy + vUv * bloomRegion.zw);
                     
                     vec3 bloomRGB = bloomColor.rgb;
                     float brightness = max(bloomRGB.r, max(bloomRGB.g, bloomRGB.b));
@@ -88,18 +96,45 @@ export class PostProcessingManager {
 
         // 5. OUTPUT PASS (sRGB correction)
         this.finalComposer.addPass(new OutputPass());
+
+        // Copies the half-float composer output into 8-bit targets that can be read back (tiled renders)
+        this.copyPass = new ShaderPass(CopyShader);
     }
 
     resize(width, height) {
-        const ratio = width / height;
+        this.width = width;
+        this.height = height;
 
+        this._resizeBloom(width / height);
+        this.finalComposer.setSize(width, height);
+        this.outlinePass.setSize(width, height);
+    }
+
+    _resizeBloom(ratio) {
         const virtualH = this.INTERNAL_HEIGHT;
         const virtualW = virtualH * ratio;
 
         this.bloomComposer.setSize(virtualW, virtualH);
-        this.finalComposer.setSize(width, height);
         this.bloomPass.resolution.set(virtualW, virtualH);
-        this.outlinePass.setSize(width, height);
+    }
+
+    /**
+     * Renders through another camera (perspective/orthographic switch).
+     * @param {THREE.Camera} camera
+     */
+    setCamera(camera) {
+        this.bloomRenderPass.camera = camera;
+        this.renderPass.camera = camera;
+
+        // The outline depth test is compiled for one projection type
+        const type = camera.isPerspectiveCamera ? 'perspective' : 'orthographic';
+        const material = this.outlinePass.getPrepareMaskMaterial();
+        material.side = THREE.DoubleSide;
+        material.fragmentShader = material.fragmentShader.replace(/DEPTH_TO_VIEW_Z/g, `${type}DepthToViewZ`);
+
+        this.outlinePass.prepareMaskMaterial.dispose();
+        this.outlinePass.prepareMaskMaterial = material;
+        this.outlinePass.renderCamera = camera;
     }
 
     /**
@@ -108,6 +143,11 @@ export class PostProcessingManager {
      * @param {Function} restoreSceneCb - Callback to restore visibility.
      */
     renderSelective(prepareBloomCb, restoreSceneCb) {
+        this._renderBloom(prepareBloomCb, restoreSceneCb);
+        this.finalComposer.render();
+    }
+
+    _renderBloom(prepareBloomCb, restoreSceneCb) {
         const prevBg = this.scene.background;
         this.scene.background = new THREE.Color(0x000000);
         this.outlinePass.enabled = false;
@@ -119,11 +159,67 @@ export class PostProcessingManager {
         this.scene.background = prevBg;
         this.outlinePass.enabled = true;
         this.mixPass.uniforms.bloomTexture.value = this.bloomComposer.readBuffer.texture;
-        this.finalComposer.render();
     }
 
+    /**
+     * Renders an image of any size tile by tile into a render target, without touching the canvas.
+     * Tiles are cut from the full frame with camera view offsets. Bloom is rendered once for the whole image
+     * (at the usual internal resolution) and each tile samples its part, so glow runs across the seams.
+     * @param {number} width - Full image size in pixels.
+     * @param {number} height
+     * @param {number} tileSize - Pixels per tile side. Tiles on the right and bottom edges run past the image.
+     * @param {THREE.Camera} camera - Camera in use, with the aspect of the full image.
+     * @param {Function} prepareBloomCb - See renderSelective().
+     * @param {Function} restoreSceneCb
+     * @param {Function} onTile - Called with (pixels, x, y) per tile: RGBA rows bottom-up, as read from WebGL,
+     *        and the tile position from the top left of the image. The buffer is reused for the next tile.
+     */
+    renderTiled(width, height, tileSize, camera, prepareBloomCb, restoreSceneCb, onTile) {
+        const target = new THREE.WebGLRenderTarget(tileSize, tileSize);
+        const pixels = new Uint8Array(tileSize * tileSize * 4);
+        const region = this.mixPass.uniforms.bloomRegion.value;
+
+        try {
+            this._resizeBloom(width / height);
+            this._renderBloom(prepareBloomCb, restoreSceneCb);
+
+            this.finalComposer.setPixelRatio(1);
+            this.finalComposer.setSize(tileSize, tileSize);
+            this.finalComposer.renderToScreen = false;
+
+            for (let y = 0; y < height; y += tileSize) {
+                for (let x = 0; x < width; x += tileSize) {
+                    camera.setViewOffset(width, height, x, y, tileSize, tileSize);
+                    // UV origin is bottom left, view offsets start top left
+                    region.set(x / width, 1 - (y + tileSize) / height, tileSize / width, tileSize / height);
+
+                    this.finalComposer.render();
+                    this.copyPass.render(this.renderer, target, this.finalComposer.readBuffer);
+                    this.renderer.readRenderTargetPixels(target, 0, 0, tileSize, tileSize, pixels);
+                    onTile(pixels, x, y);
+                }
+            }
+        } finally {
+            camera.clearViewOffset();
+            region.set(0, 0, 1, 1);
+            this.renderer.setRenderTarget(null);
+            target.dispose();
+
+            this.finalComposer.renderToScreen = true;
+            this.finalComposer.setPixelRatio(this.renderer.getPixelRatio());
+            this.resize(this.width, this.height);
+        }
+    }
+
+    /**
+     * @param {THREE.Object3D|Array<THREE.Object3D>|null} obj - Object(s) to outline.
+     */
     setSelected(obj) {
-        this.outlinePass.selectedObjects = obj ? [obj] : [];
+        if (Array.isArray(obj)) {
+            this.outlinePass.selectedObjects = [...obj];
+        } else {
+            this.outlinePass.selectedObjects = obj ? [obj] : [];
+        }
     }
 
     setBloom(en, str, rad, thr) {
@@ -154,5 +250,9 @@ export class PostProcessingManager {
         if (this.mixPass && this.mixPass.material) {
             this.mixPass.material.dispose();
         }
+
+        if (this.copyPass) {
+            this.copyPass.dispose();
+        }
     }
 }
\ No newline at end of file
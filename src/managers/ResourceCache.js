@@ -0,0 +1,115 @@
+/**
+ * Reference-counted cache for decoded textures and generated geometry.
+ * Concurrent requests for the same key share one load. Entries nobody holds anymore are kept
+ * for reuse and evicted least-recently-used first once there are more than maxUnused of them.
+ */
+export class ResourceCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxUnused=32] - Unreferenced entries kept before eviction.
+     */
+    constructor(options = {}) {
+        this.maxUnused = options.maxUnused ?? 32;
+
+        /**
+         * Map order is the LRU order (least recently used first).
+         * @type {Map<string, {promise: Promise, value: *, refCount: number, dispose: Function|null}>}
+         */
+        this.entries = new Map();
+    }
+
+    /**
+     * Returns the cached value for a key, creating it on first use. Every call must be paired
+     * with a release() once the value is no longer used (unless the promise rejected).
+     * @param {string} key
+     * @param {function(): Promise<*>} factory - Creates the value.
+     * @param {function(*): void} [dispose] - Frees the value on eviction.
+     * @returns {Promise<*>}
+     */
+    acquire(key, factory, dispose = null) {
+        let entry = this.entries.get(key);
+
+        if (entry) {
+            // Mark as most recently used
+            this.entries.delete(key);
+        } else {
+            entry = { promise: null, value: null, refCount: 0, dispose };
+            entry.promise = Promise.resolve()
+                .then(factory)
+                .then(value => {
+                    entry.value = value;
+                    // Evicted while loading
+                    if (this.entries.get(key) !== entry && entry.dispose) entry.dispose(value);
+                    return value;
+                }, err => {
+                    if (this.entries.get(key) === entry) this.entries.delete(key);
+                    throw err;
+                });
+        }
+
+        this.entries.set(key, entry);
+        entry.refCount++;
+        return entry.promise;
+    }
+
+    /**
+     * Drops one reference. Unreferenced entries stay cached until evicted.
+     * @param {string} key
+     */
+    release(key) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.refCount === 0) return;
+
+        entry.refCount--;
+        if (entry.refCount === 0) {
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            this._evict();
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    /**
+     * Changes the number of unreferenced entries kept and evicts the surplus.
+     * @param {number} maxUnused
+     */
+    setMaxUnused(maxUnused) {
+        this.maxUnused = maxUnused;
+        this._evict();
+    }
+
+    /**
+     * Evicts every unreferenced entry.
+     */
+    clear() {
+        const maxUnused = this.maxUnused;
+        this.setMaxUnused(0);
+        this.maxUnused = maxUnused;
+    }
+
+    _evict() {
+        let unused = 0;
+        this.entries.forEach(entry => {
+            if (entry.refCount === 0) unused++;
+        });
+
+        for (const [key, entry] of this.entries) {
+            if (unused <= this.maxUnused) break;
+            if (entry.refCount > 0) continue;
+
+            this.entries.delete(key);
+            unused--;
+            if (entry.value && entry.dispose) entry.dispose(entry.value);
+        }
+    }
+}
+
+/** Cache shared by all viewers on the page. */
+export const sharedCache = new ResourceCache();
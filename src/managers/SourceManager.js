@@ -0,0 +1,157 @@
+import {
+    createMinotarResolver,
+    createMojangResolver,
+    createCapesDevResolver
+} from '../utils/SourceResolvers.js';
+
+/**
+ * Registry of skin and cape source resolvers.
+ * Resolvers are tried in a configurable order; when one returns nothing, throws, or its texture fails
+ * to load, the next one is used. See SourceResolvers.js for the resolver signature.
+ */
+export class SourceManager {
+    constructor() {
+        /** @type {{skin: Map<string, Function>, cape: Map<string, Function>}} */
+        this.resolvers = { skin: new Map(), cape: new Map() };
+
+        /** @type {{skin: Array<string>, cape: Array<string>}} Resolver names in order of priority. */
+        this.order = { skin: [], cape: [] };
+
+        /** @type {Map<string, {url: string, resolver: string}>} Recently resolved players (LRU order), skips repeated lookups. */
+        this.resolved = new Map();
+        this.maxResolved = 100;
+
+        /** @type {Function} fetch implementation passed to resolvers (replaceable for stubs/proxies). */
+        this.fetch = (...args) => fetch(...args);
+
+        this.register('skin', 'minotar', createMinotarResolver());
+        this.register('skin', 'mojang', createMojangResolver());
+        this.register('cape', 'capesdev', createCapesDevResolver());
+        this.register('cape', 'mojang', createMojangResolver());
+
+        // Mojang does not allow browser requests without a proxy, so it's registered but not enabled
+        this.order = { skin: ['minotar'], cape: ['capesdev'] };
+    }
+
+    /**
+     * Adds (or replaces) a resolver.
+     * @param {'skin'|'cape'} kind
+     * @param {string} name
+     * @param {Function} resolver - (query, context) => url | null
+     * @param {number} [priority] - Position in the resolution order (default: last, or unchanged when replacing).
+     */
+    register(kind, name, resolver, priority) {
+        this._checkKind(kind);
+        this.resolvers[kind].set(name, resolver);
+        this.clearCache();
+
+        const order = this.order[kind];
+        if (order.includes(name) && priority === undefined) return;
+
+        this.order[kind] = order.filter(n => n !== name);
+        this.order[kind].splice(priority ?? this.order[kind].length, 0, name);
+    }
+
+    /**
+     * Removes a resolver.
+     * @param {'skin'|'cape'} kind
+     * @param {string} name
+     */
+    unregister(kind, name) {
+        this._checkKind(kind);
+        this.resolvers[kind].delete(name);
+        this.order[kind] = this.order[kind].filter(n => n !== name);
+        this.clearCache();
+    }
+
+    /**
+     * Sets the resolution order. Registered resolvers missing from the list are disabled.
+     * @param {'skin'|'cape'} kind
+     * @param {Array<string>} names
+     */
+    setOrder(kind, names) {
+        this._checkKind(kind);
+        names.forEach(name => {
+            if (!this.resolvers[kind].has(name)) throw new Error(`Unknown ${kind} resolver "${name}"`);
+        });
+        this.order[kind] = [...names];
+        this.clearCache();
+    }
+
+    getOrder(kind) {
+        this._checkKind(kind);
+        return [...this.order[kind]];
+    }
+
+    /**
+     * Resolves a player texture, trying resolvers in order until one succeeds.
+     * @param {'skin'|'cape'} kind
+     * @param {{username?: string, uuid?: string}} query
+     * @param {Object} [options]
+     * @param {string} [options.preferred] - Resolver to try first (e.g. the one stored in skinData).
+     * @param {function(string): Promise} [options.load] - Loads the resolved URL; a rejection moves on to the next resolver.
+     * @returns {Promise<{url: string, resolver: string}|null>} Null if no resolver knows the player.
+     * @throws The last error if every resolver failed.
+     */
+    async resolve(kind, query, options = {}) {
+        this._checkKind(kind);
+
+        const normalized = { ...query };
+        if (normalized.uuid) normalized.uuid = normalized.uuid.replace(/-/g, '').toLowerCase();
+
+        const cacheKey = `${kind}:${normalized.uuid ?? ''}:${normalized.username ?? ''}`;
+        const cached = this.resolved.get(cacheKey);
+
+        if (cached && (!options.preferred || options.preferred === cached.resolver)) {
+            try {
+                if (options.load) await options.load(cached.url);
+                this._remember(cacheKey, cached);
+                return { ...cached };
+            } catch (e) {
+                // Stale entry, resolve again
+                this.resolved.delete(cacheKey);
+            }
+        }
+
+        const preferred = this.resolvers[kind].has(options.preferred) ? [options.preferred] : [];
+        const names = [...new Set([...preferred, ...this.order[kind]])];
+
+        const context = { kind, fetch: this.fetch };
+        let lastError = null;
+
+        for (const name of names) {
+            try {
+                const url = await this.resolvers[kind].get(name)(normalized, context);
+                if (!url) continue;
+
+                if (options.load) await options.load(url);
+                this._remember(cacheKey, { url, resolver: name });
+                return { url, resolver: name };
+            } catch (e) {
+                lastError = e;
+            }
+        }
+
+        if (lastError) throw lastError;
+        return null;
+    }
+
+    /**
+     * Forgets resolved players, so the next load looks them up again (e.g. after a skin change).
+     */
+    clearCache() {
+        this.resolved.clear();
+    }
+
+    _remember(key, result) {
+        this.resolved.delete(key);
+        this.resolved.set(key, result);
+        if (this.resolved.size > this.maxResolved) {
+            this.resolved.delete(this.resolved.keys().next().value);
+        }
+    }
+
+    _checkKind(kind) {
+        if (!this.resolvers[kind]) throw new Error(`Unknown source kind "${kind}"`);
+    }
+}
@@ -0,0 +1,71 @@
+import * as THREE from 'three';
+import { SkinModel } from './SkinModel.js';
+import { releaseTexture } from '../utils/TextureUtils.js';
+
+const f = (n) => parseFloat(n.toFixed(3));
+
+/**
+ * One character of the scene: its SkinModel, where it stands, and the sources of its skin, cape and elytra.
+ * The transform lives on its own group, so poses (including the pose root) stay relative to the character.
+ */
+export class Character {
+    /**
+     * @param {Object} options
+     * @param {string} options.id - Unique id within the viewer.
+     * @param {string} [options.name] - Display name (defaults to the id).
+     */
+    constructor(options) {
+        this.id = options.id;
+        this.name = options.name ?? options.id;
+
+        this.group = new THREE.Group();
+        this.group.name = `character:${this.id}`;
+        this.group.userData.characterId = this.id;
+
+        this.skinModel = new SkinModel();
+        this.group.add(this.skinModel.getGroup());
+
+        this.skinData = null;
+        this.capeData = null;
+        this.elytraData = null;
+
+        /** @type {{skin: THREE.Texture|null, cape: THREE.Texture|null, elytra: THREE.Texture|null}} Cached textures held by this character. */
+        this.textures = { skin: null, cape: null, elytra: null };
+    }
+
+    /**
+     * @returns {{pos: number[], rot: number[], scl: number[]}}
+     */
+    getTransform() {
+        return {
+            pos: this.group.position.toArray().map(f),
+            rot: [this.group.rotation.x, this.group.rotation.y, this.group.rotation.z].map(f),
+            scl: this.group.scale.toArray().map(f)
+        };
+    }
+
+    /**
+     * @param {{pos?: number[], rot?: number[], scl?: number[]}} transform - Missing values reset to the origin.
+     */
+    setTransform(transform = {}) {
+        this.group.position.fromArray(transform.pos || [0, 0, 0]);
+        this.group.rotation.set(...(transform.rot || [0, 0, 0]));
+        this.group.scale.fromArray(transform.scl || [1, 1, 1]);
+    }
+
+    /**
+     * Keeps a reference to the cached texture used in a slot and releases the previous one.
+     * @param {'skin'|'cape'|'elytra'} slot
+     * @param {THREE.Texture|null} texture
+     */
+    holdTexture(slot, texture) {
+        releaseTexture(this.textures[slot]);
+        this.textures[slot] = texture;
+    }
+
+    dispose() {
+        if (this.group.parent) this.group.parent.remove(this.group);
+        this.skinModel.dispose();
+        Object.keys(this.textures).forEach(slot => this.holdTexture(slot, null));
+    }
+}
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import * as BufferGeometryUtils from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { sharedCache } from '../managers/ResourceCache.js';
+import { getSourceKey } from '../utils/TextureUtils.js';
 
 /**
  * Static factory to generate 3D extruded meshes from 2D item textures.
@@ -7,31 +9,60 @@ import * as BufferGeometryUtils from 'three/examples/jsm/utils/BufferGeometryUti
 export class ItemFactory {
     /**
      * Loads a texture and creates an extruded mesh.
+     * Texture and geometry are shared through the ResourceCache, so adding the same item twice
+     * doesn't download or voxelize it again. The mesh holds a cache reference (userData.cacheRef),
+     * released by disposeObjectTree.
      * @param {string} url - Image URL.
      * @param {string} name - Item name.
      * @returns {Promise<THREE.Mesh>}
      */
-    static createFromURL(url, name) {
-        return new Promise((resolve, reject) => {
-            new THREE.TextureLoader().load(url, (texture) => {
-                texture.magFilter = THREE.NearestFilter;
-                texture.minFilter = THREE.NearestFilter;
-                texture.colorSpace = THREE.SRGBColorSpace;
-                const mesh = this.generateMesh(texture);
-                if(mesh) {
-                    mesh.name = name;
-                    resolve(mesh);
-                } else {
-                    reject("Error generating geometry");
-                }
-            }, undefined, reject);
+    static async createFromURL(url, name) {
+        const key = `item:${getSourceKey(url)}`;
+
+        const { texture, geometry } = await sharedCache.acquire(key, async () => {
+            const texture = await new Promise((resolve, reject) => {
+                new THREE.TextureLoader().load(url, resolve, undefined, reject);
+            });
+            texture.magFilter = THREE.NearestFilter;
+            texture.minFilter = THREE.NearestFilter;
+            texture.colorSpace = THREE.SRGBColorSpace;
+
+            const geometry = this.generateGeometry(texture);
+            if (!geometry) {
+                texture.dispose();
+                throw new Error("Error generating geometry");
+            }
+
+            texture.userData.cacheKey = key;
+            geometry.userData.cacheKey = key;
+            return { texture, geometry };
+        }, ({ texture, geometry }) => {
+            texture.dispose();
+            geometry.dispose();
         });
+
+        const mesh = this.createMesh(texture, geometry);
+        mesh.name = name;
+        mesh.userData.cacheRef = key;
+        return mesh;
     }
 
     /**
-     * Generates geometry by iterating over pixels and creating voxels for non-transparent ones.
+     * Generates an extruded mesh from a texture (not cached).
+     * @param {THREE.Texture} texture
+     * @returns {THREE.Mesh|null}
      */
     static generateMesh(texture) {
+        const geometry = this.generateGeometry(texture);
+        return geometry ? this.createMesh(texture, geometry) : null;
+    }
+
+    /**
+     * Generates geometry by iterating over pixels and creating voxels for non-transparent ones.
+     * @param {THREE.Texture} texture
+     * @returns {THREE.BufferGeometry|null}
+     */
+    static generateGeometry(texture) {
         const img = texture.image;
         const canvas = document.createElement('canvas');
         canvas.width = img.width;
@@ -65,7 +96,17 @@ export class ItemFactory {
 
         const merged = BufferGeometryUtils.mergeGeometries(geometries);
         merged.center();
+        return merged;
+    }
 
+    /**
+     * Creates the item mesh (own material, shared texture and geometry).
+     * @param {THREE.Texture} texture
+     * @param {THREE.BufferGeometry} merged
+     * @returns {THREE.Mesh}
+     */
+    static createMesh(texture, merged) {
+        const img = texture.image;
         const mat = new THREE.MeshStandardMaterial({
             map: texture,
             side: THREE.DoubleSide
@@ -1,9 +1,19 @@
 import * as THREE from 'three';
 import * as BufferGeometryUtils from 'three/examples/jsm/utils/BufferGeometryUtils.js';
 import { applySkinUVs } from '../utils/SkinUtils.js';
+import { getSkinParts } from '../utils/SkinLayout.js';
 import { createVoxelLayer } from '../utils/Voxelizer.js';
 import { createGlowMaterial } from '../materials/GlowMaterial.js';
 import {disposeObjectTree} from "../utils/ThreeUtils.js";
+import { DEFAULT_JOINT_LIMITS, clampRotation } from '../utils/JointLimits.js';
+
+/** Lower segment of each limb when the model is built with bendable limbs (elbows and knees). */
+const LOWER_LIMBS = {
+    rightArm: 'rightLowerArm',
+    leftArm: 'leftLowerArm',
+    rightLeg: 'rightLowerLeg',
+    leftLeg: 'leftLowerLeg'
+};
 
 /**
  * Represents the Minecraft Character Model (Steve/Alex).
@@ -16,6 +26,20 @@ export class SkinModel {
         this.glowMeshes = [];
         this.bodyMeshes = [];
         this.defaultPositions = {};
+        /** @type {Object<string, THREE.Euler>} Rest rotations for parts that don't rest at 0 (elytra wings). */
+        this.defaultRotations = {};
+        /** @type {THREE.Texture|null} Texture used by the elytra wings (cape or dedicated). */
+        this.elytraTexture = null;
+        /** @type {THREE.Texture|null} Current skin texture. */
+        this.texture = null;
+        /** @type {{width: number, height: number, scale: number, legacy: boolean}} Texture layout of the current skin. */
+        this.layout = { width: 64, height: 64, scale: 1, legacy: false };
+        /** Build settings of the current model, reused by rebuilds. */
+        this.isSlim = false;
+        this.renderVoxels = true;
+        this.bendableLimbs = false;
+        /** @type {Object<string, Object>|null} Per-part rotation limits of this rig (see JointLimits.js), null = unconstrained. */
+        this.jointLimits = null;
         this.blackMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
 
         this.LAYERS_COUNT = 20;
@@ -24,19 +48,30 @@ export class SkinModel {
     /**
      * Creates a single body part (e.g., Head, Arm).
      * Adds Inner layer (Box), Outer layer (Voxels), and Glow mesh.
+     * Set coords.mirror to reuse a mirrored texture region (legacy left limbs).
+     * Pass a segment to build only some rows of the part (upper/lower half of a bendable limb);
+     * size and coords still describe the whole part.
      */
-    createBodyPart(texture, coords, size, pivotPos, meshOffset, name, renderVoxels = true) {
+    createBodyPart(texture, coords, size, pivotPos, meshOffset, name, renderVoxels = true, segment = null) {
         const pivotGroup = new THREE.Group();
         pivotGroup.position.copy(pivotPos);
         pivotGroup.name = name;
+        pivotGroup.userData.meshOffset = meshOffset.clone();
+        pivotGroup.userData.uv = coords;
+        pivotGroup.userData.size = size;
+        /** @type {{offset: number, height: number}|null} Rows covered by this part, null for a whole part. */
+        pivotGroup.userData.segment = segment;
         this.defaultPositions[name] = pivotPos.clone();
 
         const meshGroup = new THREE.Group();
         meshGroup.position.copy(meshOffset);
 
+        const height = segment ? segment.height : size.h;
+
         // 1. Inner Layer (Standard Box)
-        const innerGeo = new THREE.BoxGeometry(size.w, size.h, size.d);
-        applySkinUVs(innerGeo, coords.inner.x, coords.inner.y, size.w, size.h, size.d);
+        const innerGeo = new THREE.BoxGeometry(size.w, height, size.d);
+        const s = this.layout.scale;
+        applySkinUVs(innerGeo, coords.inner.x * s, coords.inner.y * s, size.w * s, height * s, size.d * s, this.layout.width, this.layout.height, coords.mirror, (segment?.offset ?? 0) * s);
         const innerMat = new THREE.MeshStandardMaterial({
             map: texture,
             transparent: false, // Opaque for correct depth sorting
@@ -44,13 +79,14 @@ export class SkinModel {
         });
         const innerMesh = new THREE.Mesh(innerGeo, innerMat);
         innerMesh.userData.originalMat = innerMat;
+        innerMesh.userData.skinLayer = 'inner';
         meshGroup.add(innerMesh);
         this.bodyMeshes.push(innerMesh);
 
         // 2. Outer Layer (Voxelized 2nd Layer)
         let voxelGeo = null;
         if (renderVoxels) {
-            voxelGeo = createVoxelLayer(texture, { uv: coords, size: size });
+            voxelGeo = createVoxelLayer(texture, { uv: coords, size: size, scale: s, segment });
             if (voxelGeo) {
                 const outerMat = new THREE.MeshStandardMaterial({
                     map: texture,
@@ -60,6 +96,7 @@ export class SkinModel {
                 });
                 const voxelMesh = new THREE.Mesh(voxelGeo, outerMat);
                 voxelMesh.userData.originalMat = outerMat;
+                voxelMesh.userData.skinLayer = 'outer';
                 meshGroup.add(voxelMesh);
                 this.bodyMeshes.push(voxelMesh);
             }
@@ -73,7 +110,7 @@ export class SkinModel {
         const partLayers = [];
 
         for (let i = 0; i < this.LAYERS_COUNT; i++) {
-            const glowMat = createGlowMaterial(size.h);
+            const glowMat = createGlowMaterial(height);
 
             glowMat.uniforms.thickness.value = 0;
             glowMat.uniforms.opacity.value = 0;
@@ -89,20 +126,107 @@ export class SkinModel {
         }
 
         this.glowMeshes.push(partLayers);
+        pivotGroup.userData.glowLayers = partLayers;
+        pivotGroup.userData.renderVoxels = renderVoxels;
 
         pivotGroup.add(meshGroup);
         return pivotGroup;
     }
 
+    /**
+     * Regenerates the voxel (outer) layer of a single body part from the current texture pixels.
+     * Much cheaper than build(); used after editing the skin texture.
+     * Rebuilding a bendable limb also rebuilds its lower segment.
+     * @param {string} name - Part name (e.g. 'head', 'leftArm').
+     */
+    rebuildVoxelLayer(name) {
+        const part = this.parts[name];
+        if (!part || !part.userData.renderVoxels || !this.texture) return;
+
+        const meshGroup = part.children[0];
+        const innerMesh = meshGroup.children.find(c => c.userData.skinLayer === 'inner');
+        let voxelMesh = meshGroup.children.find(c => c.userData.skinLayer === 'outer');
+
+        const voxelGeo = createVoxelLayer(this.texture, {
+            uv: part.userData.uv,
+            size: part.userData.size,
+            scale: this.layout.scale,
+            segment: part.userData.segment
+        });
+
+        if (voxelMesh) {
+            voxelMesh.geometry.dispose();
+            if (voxelGeo) {
+                voxelMesh.geometry = voxelGeo;
+            } else {
+                meshGroup.remove(voxelMesh);
+                voxelMesh.material.dispose();
+                this.bodyMeshes = this.bodyMeshes.filter(m => m !== voxelMesh);
+            }
+        } else if (voxelGeo) {
+            const outerMat = new THREE.MeshStandardMaterial({
+                map: this.texture,
+                transparent: false,
+                alphaTest: 0.5,
+                side: THREE.FrontSide
+            });
+            voxelMesh = new THREE.Mesh(voxelGeo, outerMat);
+            voxelMesh.userData.originalMat = outerMat;
+            voxelMesh.userData.skinLayer = 'outer';
+            meshGroup.add(voxelMesh);
+            this.bodyMeshes.push(voxelMesh);
+        }
+
+        const glowLayers = part.userData.glowLayers;
+        if (glowLayers && glowLayers.length > 0) {
+            const glowParts = [innerMesh.geometry.clone()];
+            if (voxelGeo) glowParts.push(voxelGeo.clone());
+            const baseGlowGeo = BufferGeometryUtils.mergeGeometries(glowParts, false);
+
+            glowLayers[0].geometry.dispose();
+            glowLayers.forEach(layer => layer.geometry = baseGlowGeo);
+        }
+
+        if (part.userData.lower) this.rebuildVoxelLayer(part.userData.lower);
+    }
+
+    /**
+     * Returns the pivots a body part is made of: the part itself, followed by its lower segment
+     * when the model has bendable limbs.
+     * @param {string} name - Part name (e.g. 'rightArm').
+     * @returns {Array<{part: THREE.Group, offset: number, height: number}>} Each pivot with the rows it covers.
+     */
+    getSegments(name) {
+        const part = this.parts[name];
+        if (!part) return [];
+
+        const segments = [part, this.parts[part.userData.lower]].filter(Boolean);
+        return segments.map(p => ({
+            part: p,
+            offset: p.userData.segment?.offset ?? 0,
+            height: p.userData.segment?.height ?? p.userData.size.h
+        }));
+    }
+
     /**
      * Builds the entire character model from a texture.
      * @param {THREE.Texture} texture
      * @param {boolean} [isSlim=false] - True for Alex model (3px arms), False for Steve (4px arms).
      * @param {boolean} [renderVoxels=true] - Whether to generate the outer voxel layer.
+     * @param {Object} [layout] - Texture layout from detectSkinLayout(). Defaults to a modern 64x64 skin.
+     * @param {Object} [options]
+     * @param {boolean} [options.bendableLimbs=false] - Split arms and legs into upper and lower segments
+     *        with elbow/knee pivots (parts 'rightLowerArm', 'leftLowerArm', 'rightLowerLeg', 'leftLowerLeg').
      */
-    build(texture, isSlim = false, renderVoxels = true) {
+    build(texture, isSlim = false, renderVoxels = true, layout = { width: 64, height: 64, scale: 1, legacy: false }, options = {}) {
         if (!this.playerGroup) return;
 
+        this.layout = layout;
+        this.texture = texture;
+        this.isSlim = isSlim;
+        this.renderVoxels = renderVoxels;
+        this.bendableLimbs = options.bendableLimbs ?? false;
+
         let capeBackup = null;
         if (this.parts.cape) {
             const mesh = this.parts.cape.children.find(c => c.isMesh);
@@ -121,6 +245,15 @@ export class SkinModel {
             }
         }
 
+        let elytraBackup = null;
+        if (this.parts.leftWing && this.parts.rightWing) {
+            elytraBackup = {
+                texture: this.elytraTexture,
+                left: this.parts.leftWing.rotation.clone(),
+                right: this.parts.rightWing.rotation.clone()
+            };
+        }
+
         if (this.playerGroup.children.length > 0) {
             disposeObjectTree(this.playerGroup);
             this.playerGroup.clear();
@@ -130,31 +263,51 @@ export class SkinModel {
         this.glowMeshes = [];
         this.bodyMeshes = [];
         this.defaultPositions = {};
+        this.defaultRotations = {};
+
+        // Texture regions and rest positions are shared with the 2D avatar renderer
+        const defs = {};
+        for (const [name, part] of Object.entries(getSkinParts(isSlim, layout.legacy))) {
+            defs[name] = {
+                uv: part.uv,
+                size: part.size,
+                pivotPos: new THREE.Vector3(...part.pivot),
+                meshOffset: new THREE.Vector3(...part.offset)
+            };
+        }
 
-        const armW = isSlim ? 3 : 4;
-        const armOff = isSlim ? 5.0 : 6.0;
+        for (const [name, def] of Object.entries(defs)) {
+            // Legacy skins have an outer layer only on the head
+            const voxels = renderVoxels && (!layout.legacy || name === 'head');
+            const lowerName = this.bendableLimbs && LOWER_LIMBS[name];
+
+            if (!lowerName) {
+                const part = this.createBodyPart(texture, def.uv, def.size, def.pivotPos, def.meshOffset, name, voxels);
+                this.parts[name] = part;
+                this.playerGroup.add(part);
+                continue;
+            }
 
-        const defs = {
-            head: { uv: { inner: {x:0, y:0}, outer: {x:32, y:0} }, size: { w:8, h:8, d:8 }, pivotPos: new THREE.Vector3(0, 0, 0), meshOffset: new THREE.Vector3(0, 4, 0) },
-            body: { uv: { inner: {x:16, y:16}, outer: {x:16, y:32} }, size: { w:8, h:12, d:4 }, pivotPos: new THREE.Vector3(0, 0, 0), meshOffset: new THREE.Vector3(0, -6, 0) },
-            rightArm: { uv: { inner: {x:40, y:16}, outer: {x:40, y:32} }, size: { w:armW, h:12, d:4 }, pivotPos: new THREE.Vector3(-armOff, -2, 0), meshOffset: new THREE.Vector3(0, -4, 0) },
-            leftArm: { uv: { inner: {x:32, y:48}, outer: {x:48, y:48} }, size: { w:armW, h:12, d:4 }, pivotPos: new THREE.Vector3(armOff, -2, 0), meshOffset: new THREE.Vector3(0, -4, 0) },
-            rightLeg: { uv: { inner: {x:0, y:16}, outer: {x:0, y:32} }, size: { w:4, h:12, d:4 }, pivotPos: new THREE.Vector3(-1.9, -12, 0), meshOffset: new THREE.Vector3(0, -6, 0) },
-            leftLeg: { uv: { inner: {x:16, y:48}, outer: {x:0, y:48} }, size: { w:4, h:12, d:4 }, pivotPos: new THREE.Vector3(1.9, -12, 0), meshOffset: new THREE.Vector3(0, -6, 0) }
-        };
+            // Split at half height: the upper segment keeps the shoulder/hip pivot,
+            // the lower one pivots at the elbow/knee and hangs from the upper one
+            const half = def.size.h / 2;
+            const top = def.meshOffset.y + half;
 
-        for (const [name, def] of Object.entries(defs)) {
-            const part = this.createBodyPart(
-                texture,
-                def.uv,
-                def.size,
-                def.pivotPos,
-                def.meshOffset,
-                name,
-                renderVoxels
+            const upper = this.createBodyPart(
+                texture, def.uv, def.size, def.pivotPos, new THREE.Vector3(0, top - half / 2, 0), name, voxels,
+                { offset: 0, height: half }
+            );
+            const lower = this.createBodyPart(
+                texture, def.uv, def.size, new THREE.Vector3(0, top - half, 0), new THREE.Vector3(0, -half / 2, 0), lowerName, voxels,
+                { offset: half, height: half }
             );
-            this.parts[name] = part;
-            this.playerGroup.add(part);
+            upper.userData.lower = lowerName;
+            lower.userData.upper = name;
+
+            upper.add(lower);
+            this.parts[name] = upper;
+            this.parts[lowerName] = lower;
+            this.playerGroup.add(upper);
         }
 
         if (capeBackup && capeBackup.texture) {
@@ -166,6 +319,12 @@ export class SkinModel {
                 this.parts.cape.scale.copy(capeBackup.scale);
             }
         }
+
+        if (elytraBackup && elytraBackup.texture) {
+            this.setElytra(elytraBackup.texture);
+            this.parts.leftWing.rotation.copy(elytraBackup.left);
+            this.parts.rightWing.rotation.copy(elytraBackup.right);
+        }
     }
 
     /**
@@ -263,6 +422,124 @@ export class SkinModel {
         this.parts['cape'] = pivotGroup;
     }
 
+    /**
+     * Adds, updates or removes the Elytra (two wing parts: 'leftWing' and 'rightWing').
+     * The texture uses the cape layout (64x32), with the wing at (22, 0).
+     * @param {THREE.Texture|null} texture - Cape or dedicated elytra texture. Null removes the elytra.
+     */
+    setElytra(texture) {
+        if (!this.playerGroup) return;
+
+        let prevRotations = null;
+
+        ['leftWing', 'rightWing'].forEach(name => {
+            const wing = this.parts[name];
+            if (!wing) return;
+
+            prevRotations = prevRotations || {};
+            prevRotations[name] = wing.rotation.clone();
+
+            const layersToRemove = wing.userData.glowLayers;
+            this.glowMeshes = this.glowMeshes.filter(layers => layers !== layersToRemove);
+            this.bodyMeshes = this.bodyMeshes.filter(m => m.parent !== wing);
+
+            this.playerGroup.remove(wing);
+            disposeObjectTree(wing);
+            delete this.parts[name];
+            delete this.defaultPositions[name];
+            delete this.defaultRotations[name];
+        });
+
+        this.elytraTexture = texture || null;
+        if (!texture) return;
+
+        // Wings are 10x20x2 boxes inflated by 1px (as in the game), hanging from the shoulders behind the body
+        const size = { w: 10, h: 20, d: 2 };
+        const inflate = 1;
+        const imgW = texture.image ? texture.image.width : 64;
+        const s = imgW / 64;
+
+        const wings = {
+            leftWing: { pivotPos: new THREE.Vector3(5, 0, -2), meshOffset: new THREE.Vector3(-5, -10, -1), mirror: false },
+            rightWing: { pivotPos: new THREE.Vector3(-5, 0, -2), meshOffset: new THREE.Vector3(5, -10, -1), mirror: true }
+        };
+
+        for (const [name, def] of Object.entries(wings)) {
+            const pivotGroup = new THREE.Group();
+            pivotGroup.position.copy(def.pivotPos);
+            pivotGroup.name = name;
+
+            this.defaultPositions[name] = def.pivotPos.clone();
+
+            const geo = new THREE.BoxGeometry(size.w + inflate * 2, size.h + inflate * 2, size.d + inflate * 2);
+            applySkinUVs(geo, 22 * s, 0, size.w * s, size.h * s, size.d * s, imgW, imgW / 2, def.mirror);
+
+            const mat = new THREE.MeshStandardMaterial({
+                map: texture,
+                side: THREE.DoubleSide,
+                transparent: true,
+                alphaTest: 0.5
+            });
+
+            const mainMesh = new THREE.Mesh(geo, mat);
+            mainMesh.position.copy(def.meshOffset);
+            mainMesh.userData.originalMat = mat;
+
+            pivotGroup.add(mainMesh);
+            this.bodyMeshes.push(mainMesh);
+
+            const wingLayers = [];
+            const shellGeo = geo.clone();
+
+            for (let i = 0; i < this.LAYERS_COUNT; i++) {
+                const glowMat = createGlowMaterial(size.h);
+
+                glowMat.uniforms.thickness.value = 0;
+                glowMat.uniforms.opacity.value = 0;
+                glowMat.polygonOffset = true;
+                glowMat.polygonOffsetFactor = i * 0.1;
+
+                const layerMesh = new THREE.Mesh(shellGeo, glowMat);
+                layerMesh.position.copy(def.meshOffset);
+
+                layerMesh.userData.layerIndex = i;
+                layerMesh.userData.isGlow = true;
+                layerMesh.userData.glowMat = glowMat;
+
+                pivotGroup.add(layerMesh);
+                wingLayers.push(layerMesh);
+            }
+
+            this.glowMeshes.push(wingLayers);
+            pivotGroup.userData.glowLayers = wingLayers;
+
+            this.playerGroup.add(pivotGroup);
+            this.parts[name] = pivotGroup;
+        }
+
+        this.defaultRotations.leftWing = SkinModel.ELYTRA_STATES.folded.leftWing.clone();
+        this.defaultRotations.rightWing = SkinModel.ELYTRA_STATES.folded.rightWing.clone();
+
+        if (prevRotations) {
+            this.parts.leftWing.rotation.copy(prevRotations.leftWing);
+            this.parts.rightWing.rotation.copy(prevRotations.rightWing);
+        } else {
+            this.setElytraState('folded');
+        }
+    }
+
+    /**
+     * Rotates both wings to a preset.
+     * @param {'folded'|'gliding'|'spread'} state
+     */
+    setElytraState(state) {
+        const preset = SkinModel.ELYTRA_STATES[state];
+        if (!preset || !this.parts.leftWing) return;
+
+        this.parts.leftWing.rotation.copy(preset.leftWing);
+        this.parts.rightWing.rotation.copy(preset.rightWing);
+    }
+
     getGroup() { return this.playerGroup; }
 
     /**
@@ -309,7 +586,11 @@ export class SkinModel {
      */
     setPose(pose) {
         for (const [name, part] of Object.entries(this.parts)) {
-            part.rotation.set(0, 0, 0);
+            if (this.defaultRotations[name]) {
+                part.rotation.copy(this.defaultRotations[name]);
+            } else {
+                part.rotation.set(0, 0, 0);
+            }
             part.scale.set(1, 1, 1); // Reset scale
             if (this.defaultPositions[name]) {
                 part.position.copy(this.defaultPositions[name]);
@@ -335,10 +616,61 @@ export class SkinModel {
                 if (data.rot) this.parts[name].rotation.set(...data.rot);
                 if (data.pos) this.parts[name].position.set(...data.pos);
                 if (data.scl) this.parts[name].scale.set(...data.scl); // Added Scale support
+                this.clampToLimits(name);
             }
         }
     }
 
+    /**
+     * Applies a pose to some parts only, leaving the others untouched.
+     * Each affected part is reset to its rest transform before its values are applied.
+     * @param {Object} pose - Pose in getPose() format.
+     * @param {Array<string>} [parts] - Part names (and 'root') to apply. Defaults to the parts present in the pose.
+     */
+    applyPartialPose(pose, parts = Object.keys(pose)) {
+        if (!this.playerGroup) return;
+
+        parts.forEach(name => {
+            const data = pose[name] || {};
+            const target = name === 'root' ? this.playerGroup : this.parts[name];
+            if (!target) return;
+
+            if (data.rot) target.rotation.set(...data.rot);
+            else if (this.defaultRotations[name]) target.rotation.copy(this.defaultRotations[name]);
+            else target.rotation.set(0, 0, 0);
+
+            if (data.pos) target.position.fromArray(data.pos);
+            else if (this.defaultPositions[name]) target.position.copy(this.defaultPositions[name]);
+            else target.position.set(0, 0, 0);
+
+            if (data.scl) target.scale.fromArray(data.scl);
+            else target.scale.set(1, 1, 1);
+
+            if (name !== 'root') this.clampToLimits(name);
+        });
+    }
+
+    /**
+     * Sets the rotation limits of this rig, enforced by setPose() and the editor gizmo.
+     * @param {Object<string, {x?: Array<number>, y?: Array<number>, z?: Array<number>}>|boolean|null} limits -
+     *        Per-part [min, max] radians, true for DEFAULT_JOINT_LIMITS, or null/false to remove them.
+     */
+    setJointLimits(limits) {
+        if (limits === true) this.jointLimits = { ...DEFAULT_JOINT_LIMITS };
+        else this.jointLimits = limits ? { ...limits } : null;
+    }
+
+    /**
+     * Clamps the rotation of a part to the rig limits.
+     * @param {string} name - Part name.
+     * @returns {boolean} True if the rotation was changed.
+     */
+    clampToLimits(name) {
+        const part = this.parts[name];
+        if (!part || !this.jointLimits) return false;
+        return clampRotation(part.rotation, this.jointLimits[name]);
+    }
+
     /**
      * Generates a JSON representation of the current pose.
      * Optimized: Does not export default values (0,0,0 position/rotation or 1,1,1 scale).
@@ -398,4 +730,23 @@ export class SkinModel {
         this.bodyMeshes = [];
         this.playerGroup = null;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Elytra wing rotations (radians). Right wing mirrors the left one.
+ * @type {Object<string, {leftWing: THREE.Euler, rightWing: THREE.Euler}>}
+ */
+SkinModel.ELYTRA_STATES = {
+    folded: {
+        leftWing: new THREE.Euler(0.2618, 0, 0.2618),
+        rightWing: new THREE.Euler(0.2618, 0, -0.2618)
+    },
+    gliding: {
+        leftWing: new THREE.Euler(0.6, 0, 0.9),
+        rightWing: new THREE.Euler(0.6, 0, -0.9)
+    },
+    spread: {
+        leftWing: new THREE.Euler(0.2, 0, Math.PI / 2),
+        rightWing: new THREE.Euler(0.2, 0, -Math.PI / 2)
+    }
+};
\ No newline at end of file
@@ -0,0 +1,381 @@
+import { resolveEasing } from '../utils/Easing.js';
+import { lerpPose, lerpItems } from '../utils/PoseUtils.js';
+import { MotionPresets } from '../utils/MotionPresets.js';
+
+/**
+ * Plugin responsible for keyframe animation.
+ * Stores a timeline of poses (and item transforms) and interpolates between them
+ * from the SkinViewer render loop. Also runs procedural motions (walk, idle, wave...)
+ * which are layered additively on top of the current pose.
+ */
+export class AnimationPlugin {
+    constructor() {
+        this.name = 'AnimationPlugin';
+
+        /** @type {Array<{time: number, pose: Object, items: Array, easing: string|Function}>} Sorted by time. */
+        this.keyframes = [];
+
+        this.currentTime = 0;
+        this.isPlaying = false;
+        this.loop = true;
+        this.speed = 1.0;
+        this.defaultEasing = 'easeInOutSine';
+
+        /** @type {Object<string, Function>} Available procedural motions. */
+        this.motions = { ...MotionPresets };
+
+        /** @type {{name: string, time: number, speed: number, amplitude: number, weight: number, fadingOut: boolean}|null} */
+        this.motion = null;
+        this.motionFadeTime = 0.25;
+
+        /** @type {Object|null} Offsets added to the model during the previous frame. */
+        this.appliedOffsets = null;
+    }
+
+    init(viewer) {
+        this.viewer = viewer;
+    }
+
+    /**
+     * Total length of the timeline in seconds (time of the last keyframe).
+     * @returns {number}
+     */
+    get duration() {
+        return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].time : 0;
+    }
+
+    // --- KEYFRAMES ---
+
+    /**
+     * Adds (or replaces) a keyframe at the given time.
+     * If no pose is provided, the current model pose and item transforms are captured.
+     * @param {number} time - Time in seconds.
+     * @param {Object} [data]
+     * @param {Object} [data.pose] - Pose in SkinModel.getPose() format.
+     * @param {Array} [data.items] - Item transforms in ItemsPlugin.getSnapshot() format.
+     * @param {string|Function} [data.easing] - Easing used when moving from this keyframe to the next one.
+     * @returns {Object} The stored keyframe.
+     */
+    addKeyframe(time, data = {}) {
+        const itemsPlugin = this.viewer.getPlugin('ItemsPlugin');
+
+        const keyframe = {
+            time: Math.max(0, time),
+            pose: data.pose || this.viewer.skinModel.getPose(),
+            items: data.items || (itemsPlugin ? itemsPlugin.getSnapshot() : []),
+            easing: data.easing || this.defaultEasing
+        };
+
+        this.keyframes = this.keyframes.filter(k => k.time !== keyframe.time);
+        this.keyframes.push(keyframe);
+        this.keyframes.sort((a, b) => a.time - b.time);
+
+        this.viewer.emit('animation:keyframes', this.keyframes);
+        return keyframe;
+    }
+
+    /**
+     * Removes the keyframe at the given time.
+     * @param {number} time
+     */
+    removeKeyframe(time) {
+        this.keyframes = this.keyframes.filter(k => k.time !== time);
+        this.viewer.emit('animation:keyframes', this.keyframes);
+    }
+
+    clearKeyframes() {
+        this.isPlaying = false;
+        this.currentTime = 0;
+        this.keyframes = [];
+        this.viewer.emit('animation:keyframes', this.keyframes);
+    }
+
+    getKeyframes() {
+        return [...this.keyframes];
+    }
+
+    /**
+     * Sets the easing of a keyframe (applied towards the following keyframe).
+     * @param {number} time
+     * @param {string|Function} easing - Name from Easing (e.g. 'easeInOutCubic') or a custom function.
+     */
+    setEasing(time, easing) {
+        const keyframe = this.keyframes.find(k => k.time === time);
+        if (keyframe) keyframe.easing = easing;
+    }
+
+    // --- PLAYBACK ---
+
+    play() {
+        if (this.keyframes.length < 2) return;
+        if (this.currentTime >= this.duration) this.currentTime = 0;
+
+        this.isPlaying = true;
+        this.viewer.emit('animation:play', this.currentTime);
+        this.viewer.requestRender();
+    }
+
+    pause() {
+        this.isPlaying = false;
+        this.viewer.emit('animation:pause', this.currentTime);
+    }
+
+    /**
+     * Stops playback and rewinds to the first keyframe.
+     */
+    stop() {
+        this.isPlaying = false;
+        this.seek(0);
+        this.viewer.emit('animation:stop');
+    }
+
+    /**
+     * Jumps to a specific time and applies the interpolated state.
+     * @param {number} time - Time in seconds.
+     */
+    seek(time) {
+        this.currentTime = Math.min(Math.max(0, time), this.duration);
+        this.applyAt(this.currentTime);
+        this.viewer.emit('animation:seek', this.currentTime);
+    }
+
+    setLoop(loop) { this.loop = loop; }
+    setSpeed(speed) { this.speed = speed; }
+
+    /**
+     * Called by SkinViewer on every frame.
+     * @param {number} delta - Seconds since the previous frame.
+     */
+    update(delta) {
+        this._removeMotionOffsets();
+
+        if (this.isPlaying) this._updateTimeline(delta);
+
+        if (this.motion) this._updateMotion(delta);
+    }
+
+    /**
+     * Called by SkinViewer after a frame was drawn.
+     * Motion offsets only live for the duration of the render, so getPose(), history
+     * and export always see the clean base pose.
+     */
+    afterRender() {
+        this._removeMotionOffsets();
+    }
+
+    _updateTimeline(delta) {
+        const duration = this.duration;
+        let time = this.currentTime + delta * this.speed;
+
+        if (time >= duration) {
+            if (this.loop && duration > 0) {
+                time = time % duration;
+            } else {
+                time = duration;
+                this.isPlaying = false;
+            }
+        }
+
+        this.currentTime = time;
+        this.applyAt(time);
+
+        if (!this.isPlaying) this.viewer.emit('animation:end');
+    }
+
+    // --- PROCEDURAL MOTIONS ---
+
+    /**
+     * Starts a procedural motion layered on top of the current pose.
+     * @param {string} name - 'idle', 'walk', 'run', 'wave', 'crouch', 'dance', 'cheer', 'nod', 'shake' or a registered name.
+     * @param {Object} [options]
+     * @param {number} [options.speed=1.0] - Playback speed multiplier.
+     * @param {number} [options.amplitude=1.0] - Strength of the motion.
+     */
+    playMotion(name, options = {}) {
+        if (!this.motions[name]) {
+            console.warn(`Unknown motion "${name}"`);
+            return;
+        }
+
+        this.motion = {
+            name,
+            time: 0,
+            speed: options.speed ?? 1.0,
+            amplitude: options.amplitude ?? 1.0,
+            weight: this.motion ? this.motion.weight : 0,
+            fadingOut: false
+        };
+
+        this.viewer.emit('motion:start', name);
+        this.viewer.requestRender();
+    }
+
+    /**
+     * Fades out the active motion, returning the model to its base pose.
+     * @param {boolean} [immediate=false] - Skip the fade out.
+     */
+    stopMotion(immediate = false) {
+        if (!this.motion) return;
+
+        if (immediate) {
+            this._removeMotionOffsets();
+            const name = this.motion.name;
+            this.motion = null;
+            this.viewer.requestRender();
+            this.viewer.emit('motion:stop', name);
+        } else {
+            this.motion.fadingOut = true;
+        }
+    }
+
+    /**
+     * Changes speed/amplitude of the active motion.
+     * @param {Object} params - { speed, amplitude }
+     */
+    setMotionParams(params) {
+        if (!this.motion) return;
+        if (params.speed !== undefined) this.motion.speed = params.speed;
+        if (params.amplitude !== undefined) this.motion.amplitude = params.amplitude;
+    }
+
+    /**
+     * Registers a custom procedural motion.
+     * @param {string} name
+     * @param {Function} fn - (time, amplitude) => pose offsets.
+     */
+    registerMotion(name, fn) {
+        this.motions[name] = fn;
+    }
+
+    _updateMotion(delta) {
+        const motion = this.motion;
+        const fadeStep = this.motionFadeTime > 0 ? delta / this.motionFadeTime : 1;
+
+        motion.time += delta * motion.speed;
+        motion.weight = Math.min(1, Math.max(0, motion.weight + (motion.fadingOut ? -fadeStep : fadeStep)));
+
+        if (motion.fadingOut && motion.weight === 0) {
+            this.motion = null;
+            this.viewer.requestRender();
+            this.viewer.emit('motion:stop', motion.name);
+            return;
+        }
+
+        const offsets = this.motions[motion.name](motion.time, motion.amplitude);
+        this._applyOffsets(offsets, motion.weight);
+        this.appliedOffsets = { offsets, weight: motion.weight };
+
+        this.viewer.requestRender();
+    }
+
+    _removeMotionOffsets() {
+        if (!this.appliedOffsets) return;
+        this._applyOffsets(this.appliedOffsets.offsets, -this.appliedOffsets.weight);
+        this.appliedOffsets = null;
+    }
+
+    _applyOffsets(offsets, weight) {
+        const skin = this.viewer.skinModel;
+
+        for (const [name, data] of Object.entries(offsets)) {
+            const target = name === 'root' ? skin.getGroup() : skin.parts[name];
+            if (!target) continue;
+
+            if (data.rot) {
+                target.rotation.x += data.rot[0] * weight;
+                target.rotation.y += data.rot[1] * weight;
+                target.rotation.z += data.rot[2] * weight;
+            }
+            if (data.pos) {
+                target.position.x += data.pos[0] * weight;
+                target.position.y += data.pos[1] * weight;
+                target.position.z += data.pos[2] * weight;
+            }
+        }
+    }
+
+    /**
+     * Computes the interpolated state at a given time without applying it.
+     * @param {number} time
+     * @returns {{pose: Object, items: Array}|null}
+     */
+    sample(time) {
+        const frames = this.keyframes;
+        if (frames.length === 0) return null;
+
+        if (time <= frames[0].time) return { pose: frames[0].pose, items: frames[0].items };
+
+        const last = frames[frames.length - 1];
+        if (time >= last.time) return { pose: last.pose, items: last.items };
+
+        let i = 0;
+        while (frames[i + 1].time < time) i++;
+
+        const from = frames[i];
+        const to = frames[i + 1];
+        const span = to.time - from.time;
+        const t = resolveEasing(from.easing)(span > 0 ? (time - from.time) / span : 1);
+
+        return {
+            pose: lerpPose(from.pose, to.pose, t, this.viewer.skinModel.defaultPositions),
+            items: lerpItems(from.items, to.items, t)
+        };
+    }
+
+    /**
+     * Applies the interpolated state at a given time to the model and items.
+     * Bypasses SkinViewer.setPose so that playback does not flood the undo history.
+     * @param {number} time
+     */
+    applyAt(time) {
+        const state = this.sample(time);
+        if (!state) return;
+
+        this.viewer.skinModel.setPose(state.pose);
+
+        const itemsPlugin = this.viewer.getPlugin('ItemsPlugin');
+        if (itemsPlugin && state.items) {
+            itemsPlugin.restoreSnapshot(state.items);
+        }
+
+        this.viewer.requestRender();
+    }
+
+    // --- SERIALIZATION ---
+
+    /**
+     * Exports the timeline as JSON. Custom easing functions are exported as 'linear'.
+     */
+    getTimeline() {
+        return {
+            loop: this.loop,
+            speed: this.speed,
+            keyframes: this.keyframes.map(k => ({
+                time: k.time,
+                pose: k.pose,
+                items: k.items,
+                easing: typeof k.easing === 'string' ? k.easing : 'linear'
+            }))
+        };
+    }
+
+    /**
+     * Replaces the timeline with previously exported data.
+     * @param {Object} data - Result of getTimeline().
+     */
+    loadTimeline(data) {
+        this.clearKeyframes();
+
+        if (data.loop !== undefined) this.loop = data.loop;
+        if (data.speed !== undefined) this.speed = data.speed;
+
+        (data.keyframes || []).forEach(k => this.addKeyframe(k.time, k));
+    }
+
+    dispose() {
+        this.isPlaying = false;
+        this.keyframes = [];
+        this.motion = null;
+        this.appliedOffsets = null;
+    }
+}
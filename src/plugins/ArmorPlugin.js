@@ -0,0 +1,314 @@
+import * as THREE from 'three';
+import { applySkinUVs } from '../utils/SkinUtils.js';
+import { disposeObjectTree } from "../utils/ThreeUtils.js";
+import { acquireTexture, releaseTexture } from '../utils/TextureUtils.js';
+
+/**
+ * Box definitions per armor slot, in the vanilla 64x32 armor texture layout.
+ * Left limbs reuse the right limb region mirrored, like legacy skins.
+ */
+const ARMOR_SLOTS = {
+    helmet: [
+        { part: 'head', uv: { x: 0, y: 0 }, size: { w: 8, h: 8, d: 8 }, inflate: 1.0 }
+    ],
+    chestplate: [
+        { part: 'body', uv: { x: 16, y: 16 }, size: { w: 8, h: 12, d: 4 }, inflate: 1.0 },
+        { part: 'rightArm', uv: { x: 40, y: 16 }, size: { w: 4, h: 12, d: 4 }, inflate: 1.0 },
+        { part: 'leftArm', uv: { x: 40, y: 16 }, size: { w: 4, h: 12, d: 4 }, inflate: 1.0, mirror: true }
+    ],
+    leggings: [
+        { part: 'body', uv: { x: 16, y: 16 }, size: { w: 8, h: 12, d: 4 }, inflate: 0.5 },
+        { part: 'rightLeg', uv: { x: 0, y: 16 }, size: { w: 4, h: 12, d: 4 }, inflate: 0.5 },
+        { part: 'leftLeg', uv: { x: 0, y: 16 }, size: { w: 4, h: 12, d: 4 }, inflate: 0.5, mirror: true }
+    ],
+    boots: [
+        { part: 'rightLeg', uv: { x: 0, y: 16 }, size: { w: 4, h: 12, d: 4 }, inflate: 1.0 },
+        { part: 'leftLeg', uv: { x: 0, y: 16 }, size: { w: 4, h: 12, d: 4 }, inflate: 1.0, mirror: true }
+    ]
+};
+
+/**
+ * Plugin responsible for worn armor (helmet, chestplate, leggings, boots).
+ * Renders vanilla layer_1/layer_2 armor textures as inflated boxes attached to the SkinModel parts,
+ * with optional leather dye tint, dye overlay and armor trim.
+ */
+export class ArmorPlugin {
+    constructor() {
+        this.name = 'ArmorPlugin';
+
+        /**
+         * Equipped slots per character: config as provided by the user plus loaded textures and created meshes.
+         * @type {Map<Character, Object<string, {config: Object, textures: Object, meshes: Array<THREE.Mesh>}>>}
+         */
+        this.characterSlots = new Map();
+    }
+
+    init(viewer) {
+        this.viewer = viewer;
+
+        // Parts are recreated on every skin change, so armor meshes have to be re-attached
+        this.onModelRebuilt = (model) => {
+            const character = this.viewer.characters.find(c => c.skinModel === model);
+            if (character) this._rebuildAll(character);
+        };
+        this.viewer.on('model:rebuilt', this.onModelRebuilt);
+
+        this.onCharacterRemoved = (character) => {
+            Object.keys(this._slotsOf(character)).forEach(slot => this._unequip(slot, false, character));
+            this.characterSlots.delete(character);
+        };
+        this.viewer.on('character:removed', this.onCharacterRemoved);
+    }
+
+    /**
+     * Equipped slots of the active character.
+     * @type {Object<string, {config: Object, textures: Object, meshes: Array<THREE.Mesh>}>}
+     */
+    get slots() {
+        return this._slotsOf(this.viewer.activeCharacter);
+    }
+
+    _slotsOf(character) {
+        if (!this.characterSlots.has(character)) this.characterSlots.set(character, {});
+        return this.characterSlots.get(character);
+    }
+
+    /**
+     * Equips an armor piece on the active character.
+     * @param {'helmet'|'chestplate'|'leggings'|'boots'} slot
+     * @param {Object} config
+     * @param {string} config.texture - Armor texture URL (layer_1 for helmet/chestplate/boots, layer_2 for leggings).
+     * @param {number} [config.color] - Dye tint (hex) multiplied with the base texture (leather armor).
+     * @param {string} [config.overlay] - Untinted overlay texture URL (leather_layer_*_overlay).
+     * @param {Object} [config.trim] - Armor trim: { texture: url, color: hex }.
+     * @returns {Promise<void>}
+     */
+    equip(slot, config) {
+        const editor = this.viewer.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
+        return this._equip(slot, config);
+    }
+
+    /**
+     * Removes an armor piece.
+     * @param {string} slot
+     */
+    unequip(slot) {
+        if (!this.slots[slot]) return;
+
+        const editor = this.viewer.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
+        this._unequip(slot);
+    }
+
+    /**
+     * Changes the dye tint of an equipped piece.
+     * @param {string} slot
+     * @param {number|null} color - Hex color, or null to remove the tint.
+     */
+    setColor(slot, color) {
+        const entry = this.slots[slot];
+        if (!entry) return;
+
+        const editor = this.viewer.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
+        entry.config = { ...entry.config, color: color ?? undefined };
+        entry.meshes.forEach(mesh => {
+            if (mesh.userData.armorLayer === 'base') {
+                mesh.material.color.setHex(color ?? 0xffffff);
+            }
+        });
+
+        this.viewer.requestRender();
+        this.viewer.emit('armor:change', this.getState());
+    }
+
+    /**
+     * Returns the serializable armor state (slot -> config).
+     * @param {string} [characterId] - Defaults to the active character.
+     * @returns {Object}
+     */
+    getState(characterId) {
+        const state = {};
+        for (const [slot, entry] of Object.entries(this._slotsOf(this._character(characterId)))) {
+            state[slot] = { ...entry.config };
+        }
+        return state;
+    }
+
+    /**
+     * Applies a full armor state. Slots missing from the state are unequipped.
+     * Does not record history (used by undo/redo and import).
+     * @param {Object} state - Result of getState().
+     * @param {string} [characterId] - Defaults to the active character.
+     * @returns {Promise<void>}
+     */
+    async setState(state = {}, characterId) {
+        const character = this._character(characterId);
+        const slots = this._slotsOf(character);
+
+        Object.keys(slots).forEach(slot => {
+            if (!state[slot]) this._unequip(slot, true, character);
+        });
+
+        const promises = Object.entries(state)
+            .filter(([slot, config]) => JSON.stringify(slots[slot]?.config) !== JSON.stringify(config))
+            .map(([slot, config]) => this._equip(slot, config, character).catch(e => {
+                console.warn(`Failed to equip ${slot}:`, e);
+            }));
+
+        await Promise.all(promises);
+    }
+
+    _character(characterId) {
+        if (!characterId) return this.viewer.activeCharacter;
+
+        const character = this.viewer.getCharacter(characterId);
+        if (!character) throw new Error(`Unknown character "${characterId}"`);
+        return character;
+    }
+
+    async _equip(slot, config, character = this.viewer.activeCharacter) {
+        if (!ARMOR_SLOTS[slot]) throw new Error(`Unknown armor slot "${slot}"`);
+
+        const results = await Promise.allSettled([
+            this._loadTexture(config.texture),
+            config.overlay ? this._loadTexture(config.overlay) : null,
+            config.trim?.texture ? this._loadTexture(config.trim.texture) : null
+        ]);
+        const [base, overlay, trim] = results.map(r => r.value ?? null);
+
+        const failed = results.find(r => r.status === 'rejected');
+        if (failed || this.viewer.isDisposed || !this.viewer.characters.includes(character)) {
+            [base, overlay, trim].forEach(tex => releaseTexture(tex));
+            if (failed) throw failed.reason;
+            return;
+        }
+
+        this._unequip(slot, false, character);
+        this._slotsOf(character)[slot] = { config: { ...config }, textures: { base, overlay, trim }, meshes: [] };
+        this._build(slot, character);
+
+        this.viewer.requestRender();
+        this.viewer.emit('armor:change', this.getState(character.id));
+    }
+
+    _unequip(slot, notify = true, character = this.viewer.activeCharacter) {
+        const slots = this._slotsOf(character);
+        const entry = slots[slot];
+        if (!entry) return;
+
+        this._removeMeshes(entry, character.skinModel);
+        Object.values(entry.textures).forEach(tex => releaseTexture(tex));
+        delete slots[slot];
+
+        if (notify) {
+            this.viewer.requestRender();
+            this.viewer.emit('armor:change', this.getState(character.id));
+        }
+    }
+
+    _removeMeshes(entry, skin) {
+        skin.bodyMeshes = skin.bodyMeshes.filter(m => !entry.meshes.includes(m));
+
+        entry.meshes.forEach(mesh => {
+            if (mesh.parent) mesh.parent.remove(mesh);
+            // Textures are owned by the slot (see _unequip)
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        entry.meshes = [];
+    }
+
+    _rebuildAll(character) {
+        const slots = this._slotsOf(character);
+        Object.keys(slots).forEach(slot => {
+            slots[slot].meshes = [];
+            this._build(slot, character);
+        });
+    }
+
+    /**
+     * Creates the meshes of one slot and attaches them to the body part pivots of a character.
+     */
+    _build(slot, character) {
+        const entry = this._slotsOf(character)[slot];
+        const skin = character.skinModel;
+        const { base, overlay, trim } = entry.textures;
+
+        const layers = [{ name: 'base', texture: base, color: entry.config.color ?? 0xffffff }];
+        if (overlay) layers.push({ name: 'overlay', texture: overlay, color: 0xffffff });
+        if (trim) layers.push({ name: 'trim', texture: trim, color: entry.config.trim.color ?? 0xffffff });
+
+        ARMOR_SLOTS[slot].forEach(def => {
+            // Bendable limbs get one armor box per segment
+            const segments = skin.getSegments(def.part);
+            segments.forEach(segment => this._buildPiece(entry, skin, slot, def, layers, segment, segments.length > 1));
+        });
+    }
+
+    _buildPiece(entry, skin, slot, def, layers, segment, split) {
+        const part = segment.part;
+
+        const { w, d } = def.size;
+        const h = split ? segment.height : def.size.h;
+        const rowOffset = split ? segment.offset : 0;
+        const i = def.inflate * 2;
+
+        layers.forEach((layer, layerIndex) => {
+            const imgW = layer.texture.image.width;
+            const s = imgW / 64;
+
+            const geo = new THREE.BoxGeometry(w + i, h + i, d + i);
+            applySkinUVs(geo, def.uv.x * s, def.uv.y * s, w * s, h * s, d * s, imgW, imgW / 2, def.mirror, rowOffset * s);
+
+            const mat = new THREE.MeshStandardMaterial({
+                map: layer.texture,
+                color: layer.color,
+                transparent: false,
+                alphaTest: 0.5,
+                side: THREE.DoubleSide,
+                // Draw overlay/trim on top of the base layer without z-fighting
+                polygonOffset: layerIndex > 0,
+                polygonOffsetFactor: -layerIndex,
+                polygonOffsetUnits: -layerIndex
+            });
+
+            const mesh = new THREE.Mesh(geo, mat);
+            mesh.name = `armor_${slot}_${layer.name}`;
+            if (part.userData.meshOffset) mesh.position.copy(part.userData.meshOffset);
+            mesh.userData.originalMat = mat;
+            mesh.userData.armorLayer = layer.name;
+            mesh.userData.armorSlot = slot;
+
+            part.add(mesh);
+            entry.meshes.push(mesh);
+            skin.bodyMeshes.push(mesh);
+        });
+    }
+
+    async _loadTexture(url) {
+        const texture = await acquireTexture(url);
+        texture.minFilter = THREE.NearestFilter;
+        return texture;
+    }
+
+    dispose() {
+        this.viewer.off('model:rebuilt', this.onModelRebuilt);
+        this.viewer.off('character:removed', this.onCharacterRemoved);
+
+        this.characterSlots.forEach(slots => {
+            Object.values(slots).forEach(entry => {
+                entry.meshes.forEach(mesh => {
+                    if (mesh.parent) mesh.parent.remove(mesh);
+                    disposeObjectTree(mesh);
+                });
+                Object.values(entry.textures).forEach(tex => releaseTexture(tex));
+            });
+        });
+        this.characterSlots.clear();
+    }
+}
@@ -5,11 +5,38 @@ import { HistoryManager } from '../managers/HistoryManager.js';
 /**
  * Plugin responsible for User Interaction.
  * Handles: Transform Gizmos, Raycasting (Selecting objects), History (Undo/Redo).
+ * Shift-click toggles objects in the selection and Shift-drag on empty space draws a selection box;
+ * several selected objects are transformed together through a shared pivot.
  */
 export class EditorPlugin {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.historyDepth=50] - Number of undo steps kept.
+     * @param {boolean} [options.recordCamera=true] - Record orbit/zoom moves and restore the camera on undo.
+     * @param {'center'|'individual'} [options.pivotMode='center'] - How a multi-selection rotates and scales.
+     * @param {{translate?: number, rotate?: number, scale?: number}} [options.snap] - Gizmo snapping steps
+     *        (model units, radians, scale factor). See setSnap().
+     */
+    constructor(options = {}) {
         this.name = 'EditorPlugin';
         this.hoveredObject = null;
+
+        this.historyDepth = options.historyDepth ?? 50;
+        this.recordCamera = options.recordCamera ?? true;
+
+        /** @type {number} Pending restores; history is not recorded while states are being applied. */
+        this.restoring = 0;
+        this.lastCameraRecord = 0;
+
+        /** @type {Array<THREE.Object3D>} Selected parts, items or characters. */
+        this.selection = [];
+        /** @type {'center'|'individual'} Rotate/scale around the selection center, or each object around its own origin. */
+        this.pivotMode = options.pivotMode ?? 'center';
+        /** @type {Object|null} Selection box being drawn. */
+        this.marquee = null;
+
+        /** @type {{translate: number|null, rotate: number|null, scale: number|null}} Gizmo snapping steps, null = free. */
+        this.snap = { translate: null, rotate: null, scale: null, ...options.snap };
     }
 
     /**
@@ -18,7 +45,10 @@ export class EditorPlugin {
      */
     init(viewer) {
         this.viewer = viewer;
-        this.history = new HistoryManager((state) => this.restoreState(state));
+        this.history = new HistoryManager((state) => this.restoreState(state), {
+            maxHistory: this.historyDepth,
+            onChange: () => this.viewer.emit('history:change', this.getHistoryState())
+        });
 
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
@@ -30,21 +60,33 @@ export class EditorPlugin {
     setupGizmo() {
         this.transformControl = new TransformControls(this.viewer.cameraManager.camera, this.viewer.renderer.domElement);
         this.transformControl.setMode('rotate');
+        this.setSnap(this.snap);
 
         // Handle History recording on drag start
         this.transformControl.addEventListener('dragging-changed', (event) => {
             this.viewer.cameraManager.setEnabled(!event.value);
             if (event.value === true) {
                 this.saveHistory();
+                this._beginGroupDrag();
+            } else {
+                this.groupDrag = null;
+                this._updatePivot();
             }
         });
 
-        this.transformControl.addEventListener('change', () => {
-            if (this.transformControl.object) {
+        this.transformControl.addEventListener('objectChange', () => {
+            if (this.groupDrag) {
+                this._applyGroupDrag();
+            } else if (this.transformControl.object && this.selection.length === 1) {
+                this._clampJoint(this.transformControl.object);
                 this.viewer.emit('transform:change', this.transformControl.object);
             }
         });
 
+        // Multi-selections are moved through this helper, placed at their shared pivot
+        this.pivot = new THREE.Object3D();
+        this.pivot.name = 'SelectionPivot';
+        this.viewer.overlayScene.add(this.pivot);
 
         this.viewer.overlayScene.add(this.transformControl);
     }
@@ -52,10 +94,29 @@ export class EditorPlugin {
     bindEvents() {
         this.onPointerDown = (e) => this.handleClick(e);
         this.onPointerMove = (e) => this.handleHover(e);
+        this.onMarqueeStart = (e) => this.handleMarqueeStart(e);
+        this.onMarqueeMove = (e) => this.handleMarqueeMove(e);
+        this.onMarqueeEnd = (e) => this.handleMarqueeEnd(e);
 
         const canvas = this.viewer.renderer.domElement;
         canvas.addEventListener('pointerdown', this.onPointerDown);
         canvas.addEventListener('pointermove', this.onPointerMove);
+        // Capture phase, so a selection box stops OrbitControls
+        canvas.addEventListener('pointerdown', this.onMarqueeStart, { capture: true });
+        window.addEventListener('pointermove', this.onMarqueeMove);
+        window.addEventListener('pointerup', this.onMarqueeEnd);
+
+        // Zooming with the wheel fires one start per notch, so moves close together share one entry
+        this.onCameraStart = () => {
+            if (!this.recordCamera) return;
+            const now = performance.now();
+            if (now - this.lastCameraRecord > 1000) this.saveHistory();
+            this.lastCameraRecord = now;
+        };
+        this.viewer.cameraManager.controls.addEventListener('start', this.onCameraStart);
+
+        this.onCameraProjection = (camera) => { this.transformControl.camera = camera; };
+        this.viewer.on('camera:projection', this.onCameraProjection);
     }
 
     getIntersects(event) {
@@ -67,12 +128,14 @@ export class EditorPlugin {
 
         let objectsToCheck = [];
 
-        this.viewer.skinModel.getGroup().traverse((child) => {
-            if (child.isMesh && child.material.visible) {
-                if (child.material.side !== THREE.BackSide) {
-                    objectsToCheck.push(child);
+        this.viewer.characters.forEach(character => {
+            character.group.traverse((child) => {
+                if (child.isMesh && child.material.visible) {
+                    if (child.material.side !== THREE.BackSide) {
+                        objectsToCheck.push(child);
+                    }
                 }
-            }
+            });
         });
 
         const itemsPlugin = this.viewer.getPlugin('ItemsPlugin');
@@ -127,16 +190,38 @@ export class EditorPlugin {
     handleClick(event) {
         if (this.transformControl.dragging) return;
 
+        const target = this.pickObject(event);
+
+        if (target) {
+            // Picking a part (or an item held by it) makes its character the active one
+            const character = this.viewer.getCharacterOf(target);
+            if (character) this.viewer.setActiveCharacter(character.id);
+
+            if (event.shiftKey) {
+                this.toggleSelection(target);
+            } else if (this.selection.length !== 1 || this.selection[0] !== target) {
+                this.selectObject(target);
+            }
+        } else if (!event.shiftKey) {
+            this.deselect();
+        }
+    }
+
+    /**
+     * Raycasts the characters and items and resolves the hit to a selectable object
+     * (body part, lower limb segment or item).
+     * @param {PointerEvent} event
+     * @returns {THREE.Object3D|null}
+     */
+    pickObject(event) {
         const rect = this.viewer.renderer.domElement.getBoundingClientRect();
         this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
         this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 
         this.raycaster.setFromCamera(this.mouse, this.viewer.cameraManager.camera);
 
-        let objectsToCheck = [];
-
-        const playerGroup = this.viewer.skinModel.getGroup();
-        if (playerGroup) objectsToCheck.push(playerGroup);
+        const playerGroups = this.viewer.characters.map(c => c.skinModel.getGroup());
+        let objectsToCheck = [...playerGroups];
 
         const itemsPlugin = this.viewer.getPlugin('ItemsPlugin');
         if (itemsPlugin) {
@@ -150,47 +235,305 @@ export class EditorPlugin {
             let logicalTarget = hitObject;
 
             while (logicalTarget.parent) {
-                if (logicalTarget.parent === playerGroup) {
+                if (playerGroups.includes(logicalTarget.parent)) {
                     break;
                 }
                 if (logicalTarget.parent.type === 'Scene') {
                     break;
                 }
-                if (logicalTarget === playerGroup) {
+                if (playerGroups.includes(logicalTarget)) {
+                    break;
+                }
+                // Lower segments of bendable limbs are selected on their own (elbow/knee)
+                if (logicalTarget.userData.upper) {
                     break;
                 }
 
                 logicalTarget = logicalTarget.parent;
             }
 
-            if (!logicalTarget) logicalTarget = hitObject;
+            return logicalTarget || hitObject;
+        }
 
-            if (this.transformControl.object !== logicalTarget) {
-                this.selectObject(logicalTarget);
-            }
+        return null;
+    }
+
+    // --- SELECTION ---
+
+    /**
+     * Selects an object.
+     * @param {THREE.Object3D} obj
+     * @param {boolean} [additive=false] - Add to the current selection instead of replacing it.
+     */
+    selectObject(obj, additive = false) {
+        if (additive) {
+            if (!this.selection.includes(obj)) this.setSelection([...this.selection, obj]);
         } else {
-            this.deselect();
+            this.setSelection([obj]);
         }
     }
 
-    selectObject(obj) {
-        this.transformControl.attach(obj);
+    /**
+     * Adds an object to the selection, or removes it if it's already selected.
+     * @param {THREE.Object3D} obj
+     */
+    toggleSelection(obj) {
+        if (this.selection.includes(obj)) {
+            this.setSelection(this.selection.filter(o => o !== obj));
+        } else {
+            this.setSelection([...this.selection, obj]);
+        }
+    }
+
+    /**
+     * Replaces the selection. Emits 'selection:change' with the selected objects,
+     * or 'selection:cleared' when empty.
+     * @param {Array<THREE.Object3D>} objects
+     */
+    setSelection(objects) {
+        this.selection = [...new Set(objects)];
+        this._updatePivot();
 
         // Notify EffectsPlugin to draw outline
         const fx = this.viewer.getPlugin('EffectsPlugin');
-        if (fx) fx.setSelected(obj);
+        if (fx) fx.setSelected(this.selection);
 
         // Callback support (can be injected)
-        this.viewer.emit('selection:change', obj);
+        if (this.selection.length > 0) {
+            this.viewer.emit('selection:change', [...this.selection]);
+        } else {
+            this.viewer.emit('selection:cleared');
+        }
+    }
+
+    /**
+     * @returns {Array<THREE.Object3D>}
+     */
+    getSelection() {
+        return [...this.selection];
+    }
+
+    /**
+     * Sets how a multi-selection is rotated and scaled.
+     * @param {'center'|'individual'} mode - Around the selection center, or each object around its own
+     *        origin (e.g. both arms around their shoulders).
+     */
+    setPivotMode(mode) {
+        this.pivotMode = mode;
+    }
+
+    /**
+     * Attaches the gizmo to a whole character, to move, rotate or scale it in the scene.
+     * @param {string} id - Character id.
+     */
+    selectCharacter(id) {
+        const character = this.viewer.getCharacter(id);
+        if (!character) return;
+
+        this.viewer.setActiveCharacter(id);
+        this.selectObject(character.group);
     }
 
     deselect() {
-        this.transformControl.detach();
+        this.setSelection([]);
+    }
 
-        const fx = this.viewer.getPlugin('EffectsPlugin');
-        if (fx) fx.setSelected(null);
+    /**
+     * Selected objects without a selected ancestor (children follow their parent, so moving both would double the move).
+     */
+    _selectionRoots() {
+        return this.selection.filter(obj => {
+            for (let p = obj.parent; p; p = p.parent) {
+                if (this.selection.includes(p)) return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Attaches the gizmo to the single selected object, or to the pivot placed at the center of a multi-selection.
+     */
+    _updatePivot() {
+        if (this.selection.length === 0) {
+            this.transformControl.detach();
+            return;
+        }
+
+        if (this.selection.length === 1) {
+            this.transformControl.attach(this.selection[0]);
+            return;
+        }
+
+        const center = new THREE.Vector3();
+        const roots = this._selectionRoots();
+        roots.forEach(obj => center.add(obj.getWorldPosition(new THREE.Vector3())));
+        center.divideScalar(roots.length);
+
+        this.pivot.position.copy(center);
+        this.pivot.quaternion.identity();
+        this.pivot.scale.set(1, 1, 1);
+        this.pivot.updateMatrixWorld();
+        this.transformControl.attach(this.pivot);
+    }
 
-        this.viewer.emit('selection:cleared');
+    _beginGroupDrag() {
+        if (this.selection.length < 2) return;
+
+        this.groupDrag = {
+            center: this.pivot.position.clone(),
+            objects: this._selectionRoots().map(obj => {
+                obj.updateWorldMatrix(true, false);
+                return {
+                    obj,
+                    world: obj.matrixWorld.clone(),
+                    origin: new THREE.Vector3().setFromMatrixPosition(obj.matrixWorld)
+                };
+            })
+        };
+    }
+
+    /**
+     * Applies the pivot transform (relative to the drag start) to every selected object.
+     */
+    _applyGroupDrag() {
+        if (!this.groupDrag) return;
+
+        const { center, objects } = this.groupDrag;
+        const offset = this.pivot.position.clone().sub(center);
+        const rotScale = new THREE.Matrix4().compose(new THREE.Vector3(), this.pivot.quaternion, this.pivot.scale);
+        const matrix = new THREE.Matrix4();
+        const parentInverse = new THREE.Matrix4();
+
+        objects.forEach(({ obj, world, origin }) => {
+            const o = this.pivotMode === 'individual' ? origin : center;
+
+            // T(o + offset) * R * S * T(-o) * start
+            matrix.makeTranslation(-o.x, -o.y, -o.z).premultiply(rotScale);
+            matrix.premultiply(new THREE.Matrix4().makeTranslation(o.x + offset.x, o.y + offset.y, o.z + offset.z));
+            matrix.multiply(world);
+
+            obj.parent.updateWorldMatrix(true, false);
+            parentInverse.copy(obj.parent.matrixWorld).invert();
+            matrix.premultiply(parentInverse);
+            matrix.decompose(obj.position, obj.quaternion, obj.scale);
+            this._clampJoint(obj);
+
+            this.viewer.emit('transform:change', obj);
+        });
+    }
+
+    /**
+     * Keeps a dragged body part within the rotation limits of its rig (if it has any).
+     * @param {THREE.Object3D} obj
+     */
+    _clampJoint(obj) {
+        const model = this.viewer.getCharacterOf(obj)?.skinModel;
+        if (model && model.parts[obj.name] === obj) model.clampToLimits(obj.name);
+    }
+
+    // --- SELECTION BOX ---
+
+    handleMarqueeStart(event) {
+        if (event.button !== 0 || !event.shiftKey) return;
+        if (this.transformControl.dragging || this.transformControl.axis) return;
+        if (this.pickObject(event)) return;
+
+        event.stopImmediatePropagation();
+
+        const element = document.createElement('div');
+        Object.assign(element.style, {
+            position: 'fixed',
+            border: '1px dashed #ffffff',
+            background: 'rgba(255, 255, 255, 0.1)',
+            pointerEvents: 'none',
+            zIndex: 1000
+        });
+        document.body.appendChild(element);
+
+        this.marquee = { x: event.clientX, y: event.clientY, element };
+        this.handleMarqueeMove(event);
+    }
+
+    handleMarqueeMove(event) {
+        if (!this.marquee) return;
+
+        const rect = this._marqueeRect(event);
+        Object.assign(this.marquee.element.style, {
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.right - rect.left}px`,
+            height: `${rect.bottom - rect.top}px`
+        });
+    }
+
+    handleMarqueeEnd(event) {
+        if (!this.marquee) return;
+
+        const rect = this._marqueeRect(event);
+        this.marquee.element.remove();
+        this.marquee = null;
+
+        // A Shift-click on empty space keeps the selection
+        if (rect.right - rect.left < 3 && rect.bottom - rect.top < 3) return;
+
+        const inside = this.getObjectsInRect(rect);
+        if (inside.length > 0) this.setSelection([...this.selection, ...inside]);
+    }
+
+    _marqueeRect(event) {
+        return {
+            left: Math.min(this.marquee.x, event.clientX),
+            right: Math.max(this.marquee.x, event.clientX),
+            top: Math.min(this.marquee.y, event.clientY),
+            bottom: Math.max(this.marquee.y, event.clientY)
+        };
+    }
+
+    /**
+     * Returns the visible body parts and items whose center projects inside a screen rectangle.
+     * @param {{left: number, top: number, right: number, bottom: number}} rect - Client (CSS pixel) coordinates.
+     * @returns {Array<THREE.Object3D>}
+     */
+    getObjectsInRect(rect) {
+        const camera = this.viewer.cameraManager.camera;
+        const canvasRect = this.viewer.renderer.domElement.getBoundingClientRect();
+
+        const hasVisibleMesh = (obj) => {
+            let visible = false;
+            obj.traverseVisible(child => {
+                if (child.isMesh && child.material.visible) visible = true;
+            });
+            return visible;
+        };
+
+        const candidates = [];
+        this.viewer.characters.forEach(character => {
+            Object.values(character.skinModel.parts).forEach(part => {
+                const center = part.userData.meshOffset ? part.userData.meshOffset.clone() : new THREE.Vector3();
+                candidates.push({ obj: part, center: part.localToWorld(center) });
+            });
+        });
+
+        const itemsPlugin = this.viewer.getPlugin('ItemsPlugin');
+        if (itemsPlugin) {
+            itemsPlugin.items.forEach(item => {
+                const box = new THREE.Box3().setFromObject(item);
+                candidates.push({ obj: item, center: box.getCenter(new THREE.Vector3()) });
+            });
+        }
+
+        return candidates
+            .filter(({ obj, center }) => {
+                if (!obj.visible || !hasVisibleMesh(obj)) return false;
+
+                const ndc = center.project(camera);
+                if (ndc.z > 1) return false;
+
+                const x = canvasRect.left + (ndc.x + 1) / 2 * canvasRect.width;
+                const y = canvasRect.top + (1 - ndc.y) / 2 * canvasRect.height;
+                return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+            })
+            .map(({ obj }) => obj);
     }
 
     /**
@@ -201,25 +544,260 @@ export class EditorPlugin {
         this.transformControl.setMode(mode);
     }
 
+    /**
+     * Sets the gizmo snapping steps. Omitted values are kept; null turns snapping off for that mode.
+     * @param {Object} snap
+     * @param {number|null} [snap.translate] - Step in model units (1 = one skin pixel).
+     * @param {number|null} [snap.rotate] - Step in radians, e.g. THREE.MathUtils.degToRad(15).
+     * @param {number|null} [snap.scale] - Scale step, e.g. 0.1.
+     */
+    setSnap(snap) {
+        this.snap = { ...this.snap, ...snap };
+        this.transformControl.setTranslationSnap(this.snap.translate);
+        this.transformControl.setRotationSnap(this.snap.rotate);
+        this.transformControl.setScaleSnap(this.snap.scale);
+    }
+
+    /**
+     * @returns {{translate: number|null, rotate: number|null, scale: number|null}}
+     */
+    getSnap() {
+        return { ...this.snap };
+    }
+
     // --- HISTORY API ---
 
+    /**
+     * Captures everything the history can restore: characters (pose, joint limits, placement, armor, skin/cape/elytra sources),
+     * items, paint, effects, lighting, scene config and camera.
+     * @returns {Object}
+     */
     getSnapshot() {
-        const pose = this.viewer.skinModel.getPose();
+        const armorPlugin = this.viewer.getPlugin('ArmorPlugin');
+        const characters = this.viewer.characters.map(character => ({
+            id: character.id,
+            name: character.name,
+            pose: character.skinModel.getPose(),
+            jointLimits: character.skinModel.jointLimits,
+            transform: character.getTransform(),
+            armor: armorPlugin ? armorPlugin.getState(character.id) : {},
+            skin: character.skinData,
+            cape: character.capeData,
+            elytra: character.elytraData
+        }));
         const itemsPlugin = this.viewer.getPlugin('ItemsPlugin');
         const itemsState = itemsPlugin ? itemsPlugin.getSnapshot() : [];
-        return { pose, items: itemsState };
+        // Paint edits belong to the active character
+        const paintPlugin = this.viewer.getPlugin('PaintPlugin');
+        const paintState = paintPlugin ? paintPlugin.getSnapshot() : null;
+        const fx = this.viewer.getPlugin('EffectsPlugin');
+        const config = this.viewer.config;
+
+        return {
+            active: this.viewer.activeCharacter.id,
+            characters,
+            items: itemsState,
+            paint: paintState,
+            effects: fx ? fx.getConfig() : null,
+            environment: this.viewer.sceneSetup.getLightConfig(),
+            scene: { showGrid: config.showGrid, transparent: config.transparent, bgColor: config.bgColor },
+            camera: this.recordCamera ? this.viewer.cameraManager.getSettingsJSON() : null
+        };
+    }
+
+    saveHistory() {
+        if (this.restoring > 0) return;
+        this.history.pushState(this.getSnapshot());
+    }
+
+    /**
+     * Reverts to the previous history entry.
+     * @returns {Promise<void>} Resolves once skins and items are reloaded. Failures are logged, not thrown.
+     */
+    undo() {
+        if (this.restoring > 0) return Promise.resolve();
+        return this._settle(this.history.undo(this.getSnapshot()));
+    }
+
+    /**
+     * Reapplies the last undone history entry.
+     * @returns {Promise<void>} See undo().
+     */
+    redo() {
+        if (this.restoring > 0) return Promise.resolve();
+        return this._settle(this.history.redo(this.getSnapshot()));
+    }
+
+    async _settle(restoring) {
+        try {
+            await restoring;
+        } catch (e) {
+            console.warn('Failed to restore the history state:', e);
+        }
+    }
+
+    /**
+     * Groups the following changes into a single undo step, until endTransaction().
+     * Transactions can be nested.
+     */
+    beginTransaction() {
+        if (this.restoring > 0) return;
+        this.history.beginTransaction(this.getSnapshot());
     }
 
-    saveHistory() { this.history.pushState(this.getSnapshot()); }
-    undo() { this.history.undo(this.getSnapshot()); }
-    redo() { this.history.redo(this.getSnapshot()); }
+    endTransaction() {
+        if (this.restoring > 0) return;
+        this.history.endTransaction(this.getSnapshot());
+    }
+
+    /**
+     * Runs a (sync or async) function as a single undo step.
+     * @param {Function} fn
+     * @returns {Promise<*>} Result of fn.
+     */
+    async transaction(fn) {
+        this.beginTransaction();
+        try {
+            return await fn();
+        } finally {
+            this.endTransaction();
+        }
+    }
+
+    /**
+     * Changes the number of undo steps kept.
+     * @param {number} depth
+     */
+    setHistoryDepth(depth) {
+        this.historyDepth = depth;
+        this.history.setMaxHistory(depth);
+    }
+
+    clearHistory() {
+        this.history.clear();
+    }
 
-    restoreState(state) {
-        if (state.pose) this.viewer.skinModel.setPose(state.pose);
+    /**
+     * @returns {{canUndo: boolean, canRedo: boolean, undoCount: number, redoCount: number}}
+     */
+    getHistoryState() {
+        return {
+            canUndo: this.history.canUndo(),
+            canRedo: this.history.canRedo(),
+            undoCount: this.history.undoStack.length,
+            redoCount: this.history.redoStack.length
+        };
+    }
+
+    /**
+     * Applies a snapshot. Skins, capes and removed items are reloaded, so this may finish asynchronously;
+     * history is not recorded until it does.
+     * @param {Object} state - Result of getSnapshot().
+     * @returns {Promise<void>}
+     */
+    async restoreState(state) {
+        this.restoring++;
+        try {
+            await this._applySnapshot(state);
+        } finally {
+            this.restoring--;
+            this._updatePivot();
+            this.viewer.requestRender();
+            this.viewer.emit('history:restored', state);
+        }
+    }
+
+    async _applySnapshot(state) {
+        const armorPlugin = this.viewer.getPlugin('ArmorPlugin');
+        const pending = [];
+
+        if (state.characters) {
+            // Characters removed since the snapshot are recreated (their skins are reloaded below),
+            // then the ones added since are removed, so there is always one left
+            state.characters.forEach(entry => {
+                if (this.viewer.getCharacter(entry.id)) return;
+                this.viewer.addCharacter({ id: entry.id, name: entry.name, transform: entry.transform, activate: false });
+            });
+            const ids = state.characters.map(entry => entry.id);
+            this.viewer.characters
+                .filter(character => !ids.includes(character.id))
+                .forEach(character => this.viewer.removeCharacter(character.id));
+            this.viewer.characters.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+
+            state.characters.forEach(entry => {
+                const character = this.viewer.getCharacter(entry.id);
+
+                // Limits first, so they don't clamp the restored pose against the current ones
+                if ('jointLimits' in entry) character.skinModel.setJointLimits(entry.jointLimits);
+                character.skinModel.setPose(entry.pose);
+                character.setTransform(entry.transform);
+                if (armorPlugin && entry.armor) pending.push(armorPlugin.setState(entry.armor, entry.id));
+                if ('skin' in entry) pending.push(this._restoreSources(character, entry));
+            });
+        } else {
+            // Snapshots from before multiple characters
+            if (state.pose) this.viewer.skinModel.setPose(state.pose);
+            if (armorPlugin && state.armor) pending.push(armorPlugin.setState(state.armor));
+        }
+
+        if (state.active && this.viewer.getCharacter(state.active)) {
+            this.viewer.setActiveCharacter(state.active);
+        }
+
+        const fx = this.viewer.getPlugin('EffectsPlugin');
+        if (fx && state.effects) fx.updateConfig(state.effects);
+
+        if (state.environment) this.viewer.setEnvironment(state.environment);
+        if (state.scene) this.viewer.updateConfig(state.scene);
+        if (state.camera) this.viewer.cameraManager.loadSettingsJSON(state.camera);
+
+        // Skins are reloaded before items are re-attached to their parts and paint is applied on top
+        await Promise.allSettled(pending);
 
         const itemsPlugin = this.viewer.getPlugin('ItemsPlugin');
         if (itemsPlugin && state.items) {
-            itemsPlugin.restoreSnapshot(state.items);
+            await itemsPlugin.syncSnapshot(state.items);
+        }
+
+        const paintPlugin = this.viewer.getPlugin('PaintPlugin');
+        if (paintPlugin && state.paint !== undefined && state.paint !== paintPlugin.getSnapshot()) {
+            await paintPlugin.restoreSnapshot(state.paint);
+        }
+    }
+
+    /**
+     * Reloads the skin, cape and elytra of a character if they differ from a snapshot entry.
+     */
+    async _restoreSources(character, entry) {
+        const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+        try {
+            if (!same(character.skinData, entry.skin)) {
+                if (entry.skin) {
+                    await this.viewer.loadSkinFromSource(entry.skin, character);
+                } else {
+                    this.viewer.loadPlaceholderSkin(character);
+                }
+            }
+
+            if (!same(character.capeData, entry.cape)) {
+                if (entry.cape) {
+                    await this.viewer.loadCapeFromSource(entry.cape, character);
+                } else {
+                    this.viewer.resetCape(character);
+                }
+            }
+
+            // Elytra may borrow the cape texture, so it's restored after the cape
+            if (!same(character.elytraData, entry.elytra)) {
+                if (entry.elytra) {
+                    await this.viewer.loadElytra(entry.elytra.type === 'url' ? entry.elytra.value : null, character);
+                } else {
+                    this.viewer.resetElytra(character);
+                }
+            }
+        } catch (e) {
+            console.warn(`Failed to restore the skin of ${character.id}:`, e);
         }
     }
 
@@ -227,7 +805,15 @@ export class EditorPlugin {
         if (this.viewer.renderer.domElement) {
             this.viewer.renderer.domElement.removeEventListener('pointerdown', this.onPointerDown);
             this.viewer.renderer.domElement.removeEventListener('pointermove', this.onPointerMove);
+            this.viewer.renderer.domElement.removeEventListener('pointerdown', this.onMarqueeStart, { capture: true });
         }
+        window.removeEventListener('pointermove', this.onMarqueeMove);
+        window.removeEventListener('pointerup', this.onMarqueeEnd);
+        if (this.marquee) this.marquee.element.remove();
+        this.viewer.cameraManager.controls.removeEventListener('start', this.onCameraStart);
+        this.viewer.off('camera:projection', this.onCameraProjection);
+
+        if (this.pivot.parent) this.pivot.parent.remove(this.pivot);
 
         if (this.transformControl) {
             this.transformControl.detach();
@@ -1,6 +1,46 @@
 import * as THREE from 'three';
 import { PostProcessingManager } from '../managers/PostProcessingManager.js';
 
+/**
+ * Averages factor x factor blocks of a tile read back from WebGL (rows bottom-up, premultiplied alpha)
+ * into ImageData (rows top-down, straight alpha, like toDataURL() gives).
+ * @param {Uint8Array} pixels - tileSize x tileSize RGBA.
+ * @param {number} tileSize
+ * @param {number} factor
+ * @param {number} width - Output pixels kept (edge tiles are cropped).
+ * @param {number} height
+ * @returns {ImageData}
+ */
+function downsampleTile(pixels, tileSize, factor, width, height) {
+    const out = new ImageData(width, height);
+    const data = out.data;
+    const count = factor * factor;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let sy = 0; sy < factor; sy++) {
+                const row = tileSize - 1 - (y * factor + sy);
+                for (let sx = 0; sx < factor; sx++) {
+                    const i = (row * tileSize + x * factor + sx) * 4;
+                    r += pixels[i];
+                    g += pixels[i + 1];
+                    b += pixels[i + 2];
+                    a += pixels[i + 3];
+                }
+            }
+
+            const o = (y * width + x) * 4;
+            const scale = a > 0 ? 255 / a : 0;
+            data[o] = r * scale;
+            data[o + 1] = g * scale;
+            data[o + 2] = b * scale;
+            data[o + 3] = a / count;
+        }
+    }
+    return out;
+}
+
 /**
  * Plugin responsible for visual effects and post-processing.
  * Handles Bloom (Glow), Outlines, and high-res Screenshots.
@@ -25,13 +65,19 @@ export class EffectsPlugin {
         this.composer = new PostProcessingManager(viewer.renderer, viewer.scene, viewer.cameraManager.camera, w, h);
 
         this.composer.setBloom(false, 0, 0, 0.1);
+
+        this.onCameraProjection = (camera) => this.composer.setCamera(camera);
+        viewer.on('camera:projection', this.onCameraProjection);
     }
 
     /**
-     * Updates effect parameters.
+     * Updates effect parameters (recorded in the Editor history).
      * @param {Object} config - { enabled, strength, radius, height, thickness }
      */
     updateConfig(config) {
+        const editor = this.viewer.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
         this.state = { ...this.state, ...config };
 
         this._applyToScene();
@@ -50,12 +96,13 @@ export class EffectsPlugin {
      */
     _applyToScene() {
         const config = this.state;
-        const skin = this.viewer.skinModel;
 
-        skin.setGlowEffect(config.enabled);
+        this.viewer.characters.forEach(({ skinModel: skin }) => {
+            skin.setGlowEffect(config.enabled);
 
-        skin.updateBorderThickness(config.thickness);
-        skin.updateGlowHeight(config.height);
+            skin.updateBorderThickness(config.thickness);
+            skin.updateGlowHeight(config.height);
+        });
 
         const itemsPlugin = this.viewer.getPlugin('ItemsPlugin');
         if (itemsPlugin) {
@@ -66,7 +113,8 @@ export class EffectsPlugin {
     }
 
     /**
-     * Highlights an object (used by EditorPlugin).
+     * Highlights an object or a set of objects (used by EditorPlugin).
+     * @param {THREE.Object3D|Array<THREE.Object3D>|null} obj
      */
     setSelected(obj) {
         this.composer.setSelected(obj);
@@ -80,24 +128,33 @@ export class EffectsPlugin {
      * Custom render loop called by the Core animate().
      */
     render() {
+        const { prepare, restore } = this._bloomCallbacks();
+        this.composer.renderSelective(prepare, restore);
+    }
+
+    /**
+     * Callbacks that blacken everything but the glowing parts for the bloom pass, and undo it.
+     */
+    _bloomCallbacks() {
+        const skins = this.viewer.characters.map(c => c.skinModel);
         const skin = this.viewer.skinModel;
         const itemsPlugin = this.viewer.getPlugin('ItemsPlugin');
         const items = itemsPlugin ? itemsPlugin.items : [];
 
-        this.composer.renderSelective(
-            () => {
-                skin.darkenBody();
+        return {
+            prepare: () => {
+                skins.forEach(s => s.darkenBody());
                 this.viewer.sceneSetup.setGridVisible(false);
                 items.forEach(i => i.material = skin.blackMaterial);
             },
-            () => {
-                skin.restoreBody();
+            restore: () => {
+                skins.forEach(s => s.restoreBody());
                 this.viewer.sceneSetup.setGridVisible(this.viewer.config.showGrid);
                 items.forEach(i => {
                     if(i.userData.originalMat) i.material = i.userData.originalMat;
                 });
             }
-        );
+        };
     }
 
     /**
@@ -109,62 +166,163 @@ export class EffectsPlugin {
 
     /**
      * Generates a transparent PNG screenshot.
-     * Temporarily resizes renderer if width/height are provided.
+     * Temporarily resizes renderer if width/height are provided (works with perspective and orthographic cameras).
      */
     captureScreenshot(width, height) {
+        const state = this._beginCapture(width, height, this.viewer.renderer.getPixelRatio(), true);
+        this.render();
+        const dataUrl = this.viewer.renderer.domElement.toDataURL("image/png");
+        this._endCapture(state);
+        return dataUrl;
+    }
+
+    /**
+     * Renders one frame into a new 2D canvas of exactly width x height pixels, without grid and selection outline.
+     * The renderer is resized and restored within the call, so the page never shows the capture size.
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} [options]
+     * @param {boolean} [options.transparent=true] - false keeps the scene background.
+     * @returns {HTMLCanvasElement}
+     */
+    captureCanvas(width, height, options = {}) {
+        const state = this._beginCapture(width, height, 1, options.transparent ?? true);
+        this.render();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(this.viewer.renderer.domElement, 0, 0);
+
+        this._endCapture(state);
+        return canvas;
+    }
+
+    /**
+     * Renders an image of any size (posters, 8K and beyond) tile by tile, off the visible canvas.
+     * Unlike captureScreenshot() the renderer is never resized, so there's no flicker and no MAX_RENDERBUFFER_SIZE
+     * limit; only the browser's own canvas size limit applies to the result. Glow and bloom run across tile seams.
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} [options]
+     * @param {number} [options.supersample=1] - Renders supersample x supersample pixels per output pixel and averages
+     *        them (anti-aliasing; render targets have no MSAA).
+     * @param {number} [options.tileSize=2048] - Rendered pixels per tile side, capped by the GPU limits.
+     * @param {boolean} [options.transparent=true] - false keeps the scene background.
+     * @returns {HTMLCanvasElement}
+     */
+    renderTiled(width, height, options = {}) {
         const renderer = this.viewer.renderer;
-        const camera = this.viewer.cameraManager.camera;
+        const cameraManager = this.viewer.cameraManager;
+        const factor = Math.max(1, Math.round(options.supersample ?? 1));
+
+        const gl = renderer.getContext();
+        const maxSize = Math.min(renderer.capabilities.maxTextureSize, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE));
+        // A whole number of output pixels per tile, so no averaged block straddles a seam
+        const tileSize = Math.max(1, Math.floor(Math.min(options.tileSize ?? 2048, maxSize) / factor)) * factor;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        const size = renderer.getSize(new THREE.Vector2());
+        const state = this._beginCapture(0, 0, 1, options.transparent ?? true);
+        cameraManager.onResize(width, height);
+
+        try {
+            const { prepare, restore } = this._bloomCallbacks();
+            this.composer.renderTiled(width * factor, height * factor, tileSize, cameraManager.camera, prepare, restore, (pixels, x, y) => {
+                const left = x / factor;
+                const top = y / factor;
+                const tile = downsampleTile(pixels, tileSize, factor, Math.min(tileSize / factor, width - left), Math.min(tileSize / factor, height - top));
+                ctx.putImageData(tile, left, top);
+            });
+        } finally {
+            cameraManager.onResize(size.x, size.y);
+            this._endCapture(state);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Tiled render as a PNG (see renderTiled()).
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} [options] - See renderTiled().
+     * @returns {Promise<Blob>}
+     */
+    captureTiledScreenshot(width, height, options = {}) {
+        const canvas = this.renderTiled(width, height, options);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Image too large to encode'))), 'image/png');
+        });
+    }
 
-        const originalSize = new THREE.Vector2();
-        renderer.getSize(originalSize);
-        const originalAspect = camera.aspect;
+    /**
+     * Sizes the renderer for a capture and hides the grid and selection outline.
+     * @returns {Object} State restored by _endCapture().
+     */
+    _beginCapture(width, height, pixelRatio, transparent) {
+        const renderer = this.viewer.renderer;
+        const state = {
+            resized: !!(width && height),
+            size: renderer.getSize(new THREE.Vector2()),
+            pixelRatio: renderer.getPixelRatio(),
+            showGrid: this.viewer.config.showGrid,
+            background: this.viewer.scene.background,
+            selection: this.composer.outlinePass.selectedObjects,
+            clearColor: renderer.getClearColor(new THREE.Color()),
+            clearAlpha: renderer.getClearAlpha()
+        };
 
-        if (width && height) {
-            renderer.setSize(width, height);
-            camera.aspect = width / height;
-            camera.updateProjectionMatrix();
+        if (state.resized) {
+            // Canvas style is left alone: only the drawing buffer changes, and it's restored before the page repaints
+            renderer.setPixelRatio(pixelRatio);
+            renderer.setSize(width, height, false);
+            this.viewer.cameraManager.onResize(width, height);
             this.composer.resize(width, height);
         }
 
-        const wasGridEnabled = this.viewer.config.showGrid;
-        const prevBg = this.viewer.scene.background;
-        const prevSel = this.composer.outlinePass.selectedObjects;
-        const prevClearColor = new THREE.Color();
-        renderer.getClearColor(prevClearColor);
-        const prevClearAlpha = renderer.getClearAlpha();
-
         this.composer.setSelected(null);
 
         this.viewer.config.showGrid = false;
         this.viewer.sceneSetup.setGridVisible(false);
 
-        this.viewer.scene.background = null;
-        renderer.setClearColor(0x000000, 0);
+        if (transparent) {
+            this.viewer.scene.background = null;
+            renderer.setClearColor(0x000000, 0);
+        }
 
-        this.render();
+        return state;
+    }
 
-        const dataUrl = renderer.domElement.toDataURL("image/png");
+    _endCapture(state) {
+        const renderer = this.viewer.renderer;
 
-        this.viewer.scene.background = prevBg;
-        renderer.setClearColor(prevClearColor, prevClearAlpha);
+        this.viewer.scene.background = state.background;
+        renderer.setClearColor(state.clearColor, state.clearAlpha);
 
-        this.viewer.config.showGrid = wasGridEnabled;
-        this.viewer.sceneSetup.setGridVisible(wasGridEnabled);
+        this.viewer.config.showGrid = state.showGrid;
+        this.viewer.sceneSetup.setGridVisible(state.showGrid);
 
-        this.composer.outlinePass.selectedObjects = prevSel;
+        this.composer.outlinePass.selectedObjects = state.selection;
 
-        if (width && height) {
-            renderer.setSize(originalSize.x, originalSize.y);
-            camera.aspect = originalAspect;
-            camera.updateProjectionMatrix();
-            this.composer.resize(originalSize.x, originalSize.y);
+        if (state.resized) {
+            renderer.setPixelRatio(state.pixelRatio);
+            renderer.setSize(state.size.x, state.size.y, false);
+            this.viewer.cameraManager.onResize(state.size.x, state.size.y);
+            this.composer.resize(state.size.x, state.size.y);
         }
 
         this.viewer.cameraManager.update();
-        return dataUrl;
+        // Resizing cleared the canvas: the next frame draws the live view again before the page repaints
+        this.viewer.requestRender();
     }
 
     dispose() {
+        this.viewer.off('camera:projection', this.onCameraProjection);
         if (this.composer) {
             this.composer.dispose();
             this.composer = null;
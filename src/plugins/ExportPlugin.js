@@ -0,0 +1,438 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { createVolume, rasterizeBox, fillCavities, makeManifold, extractSurface } from '../utils/SolidVoxelizer.js';
+import { getImagePixels } from '../utils/TextureUtils.js';
+
+const isGlowObject = (obj) => obj.userData.isGlow || obj.userData.isGlowLayer || obj.name === 'GlowShells';
+
+/**
+ * Plugin responsible for exporting the character to 3D file formats.
+ * Produces a clean copy of the scene: skin model (with voxel layer), cape, items and pose,
+ * without glow shells, helpers or the gizmo. Also builds watertight meshes for 3D printing (STL, OBJ).
+ */
+export class ExportPlugin {
+    constructor() {
+        this.name = 'ExportPlugin';
+    }
+
+    init(viewer) {
+        this.viewer = viewer;
+    }
+
+    /**
+     * Builds an export-ready copy of the characters and their items.
+     * Each character is a node named after it (holding its placement) with the posed 'Player' inside.
+     * Geometries and materials are shared with the live scene, so the result must not be disposed.
+     * @param {Map<string, THREE.Object3D>} [nodeMap] - Filled with original uuid -> copy.
+     * @returns {THREE.Group}
+     */
+    buildExportGroup(nodeMap = new Map()) {
+        const editor = this.viewer.getPlugin('EditorPlugin');
+        if (editor) editor.unhighlightObject();
+
+        const root = new THREE.Group();
+        root.name = 'Character';
+
+        // Manual deep clone: skips glow shells and userData (holds materials and scene references,
+        // which Object3D.clone would serialize and which can't be written as glTF extras)
+        const cloneTree = (src) => {
+            const userData = src.userData;
+            src.userData = {};
+            const copy = src.clone(false);
+            src.userData = userData;
+
+            nodeMap.set(src.uuid, copy);
+            src.children.forEach(child => {
+                if (!isGlowObject(child)) copy.add(cloneTree(child));
+            });
+            return copy;
+        };
+
+        this.viewer.characters.forEach(character => {
+            const node = cloneTree(character.group);
+            node.name = character.name;
+            nodeMap.get(character.skinModel.getGroup().uuid).name = 'Player';
+            root.add(node);
+        });
+
+        const itemsPlugin = this.viewer.getPlugin('ItemsPlugin');
+        if (itemsPlugin) {
+            itemsPlugin.items
+                .filter(item => !item.userData.parentId)
+                .forEach(item => root.add(cloneTree(item)));
+        }
+
+        // Node names are used for animation binding, so they have to be unique
+        const usedNames = new Set();
+        root.traverse(obj => {
+            let name = obj.name || obj.type;
+            let i = 1;
+            while (usedNames.has(name)) name = `${obj.name || obj.type}_${i++}`;
+            usedNames.add(name);
+            obj.name = name;
+        });
+
+        return root;
+    }
+
+    /**
+     * Exports the posed character, cape and attached items as binary glTF (GLB) with embedded textures.
+     * @param {Object} [options]
+     * @param {boolean} [options.animation=false] - Bake the AnimationPlugin timeline into an animation clip.
+     * @param {number} [options.fps=30] - Sampling rate of the baked animation.
+     * @returns {Promise<ArrayBuffer>}
+     */
+    exportGLB(options = {}) {
+        const nodeMap = new Map();
+        const root = this.buildExportGroup(nodeMap);
+        const animations = [];
+
+        if (options.animation) {
+            const clip = this.bakeTimeline(root, nodeMap, options.fps ?? 30);
+            if (clip) animations.push(clip);
+        }
+
+        const exporter = new GLTFExporter();
+        return exporter.parseAsync(root, { binary: true, animations, trs: true });
+    }
+
+    /**
+     * Samples the AnimationPlugin timeline (played on the active character) into a THREE.AnimationClip targeting the export group.
+     * @param {THREE.Group} root - Result of buildExportGroup().
+     * @param {Map<string, THREE.Object3D>} nodeMap - Original uuid -> copy, filled by buildExportGroup().
+     * @param {number} fps
+     * @returns {THREE.AnimationClip|null}
+     */
+    bakeTimeline(root, nodeMap, fps) {
+        const anim = this.viewer.getPlugin('AnimationPlugin');
+        if (!anim || anim.keyframes.length < 2) return null;
+
+        const skin = this.viewer.skinModel;
+        const player = nodeMap.get(skin.getGroup().uuid);
+        const duration = anim.duration;
+        const frameCount = Math.max(2, Math.ceil(duration * fps) + 1);
+
+        const tracks = new Map();
+        const addSample = (node, t, pos, quat, scl) => {
+            if (!tracks.has(node)) tracks.set(node, { times: [], pos: [], quat: [], scl: [] });
+            const track = tracks.get(node);
+            track.times.push(t);
+            track.pos.push(...pos);
+            track.quat.push(quat.x, quat.y, quat.z, quat.w);
+            track.scl.push(...scl);
+        };
+
+        const euler = new THREE.Euler();
+        const quat = new THREE.Quaternion();
+
+        for (let f = 0; f < frameCount; f++) {
+            const t = Math.min(duration, f / fps);
+            const state = anim.sample(t);
+
+            const rootData = state.pose.root || {};
+            quat.setFromEuler(euler.fromArray(rootData.rot || [0, 0, 0]));
+            addSample(player, t, rootData.pos || [0, 0, 0], quat, rootData.scl || [1, 1, 1]);
+
+            for (const [name, part] of Object.entries(skin.parts)) {
+                const data = state.pose[name] || {};
+                const node = nodeMap.get(part.uuid);
+                if (!node) continue;
+
+                const restRot = skin.defaultRotations[name] ? skin.defaultRotations[name].toArray() : [0, 0, 0];
+                quat.setFromEuler(euler.fromArray((data.rot || restRot).slice(0, 3)));
+                addSample(node, t, data.pos || skin.defaultPositions[name].toArray(), quat, data.scl || [1, 1, 1]);
+            }
+
+            (state.items || []).forEach(item => {
+                const node = nodeMap.get(item.uuid);
+                if (!node) return;
+                quat.setFromEuler(euler.fromArray(item.rot.slice(0, 3)));
+                addSample(node, t, item.pos, quat, item.scale);
+            });
+        }
+
+        const keyframeTracks = [];
+        tracks.forEach((track, node) => {
+            keyframeTracks.push(
+                new THREE.VectorKeyframeTrack(`${node.name}.position`, track.times, track.pos),
+                new THREE.QuaternionKeyframeTrack(`${node.name}.quaternion`, track.times, track.quat),
+                new THREE.VectorKeyframeTrack(`${node.name}.scale`, track.times, track.scl)
+            );
+        });
+
+        return new THREE.AnimationClip('Timeline', duration, keyframeTracks);
+    }
+
+    // --- 3D PRINT ---
+
+    /**
+     * Builds a single watertight, manifold mesh of the posed character for 3D printing.
+     * Inner boxes, the voxel layer, cape, elytra, armor and items are resampled into one voxel volume,
+     * merged into a solid and its surface is extracted with welded vertices.
+     * @param {Object} [options]
+     * @param {number} [options.voxelSize=0.25] - Sampling resolution in skin pixels (smaller = more detail, use 1/scale for HD skins).
+     * @param {number} [options.scale=1] - Millimeters per skin pixel.
+     * @param {number} [options.height] - Target model height in millimeters, overrides scale.
+     * @returns {{positions: Float32Array, indices: Uint32Array, colors: Uint32Array}}
+     *          Millimeters, Z-up, standing on z = 0. Colors are 0xRRGGBB per triangle.
+     */
+    buildPrintMesh(options = {}) {
+        const editor = this.viewer.getPlugin('EditorPlugin');
+        if (editor) editor.unhighlightObject();
+
+        const sources = this._collectPrintSources();
+        if (sources.length === 0) throw new Error('Nothing to export');
+
+        const bounds = new THREE.Box3();
+        sources.forEach(src => bounds.union(new THREE.Box3(src.min, src.max).applyMatrix4(src.matrix)));
+
+        const volume = createVolume(bounds, options.voxelSize ?? 0.25);
+        sources.forEach(src => rasterizeBox(volume, src.matrix, src.min, src.max, src.colorAt));
+
+        fillCavities(volume);
+        makeManifold(volume);
+        // Repairs can close off new pockets
+        fillCavities(volume);
+
+        const mesh = extractSurface(volume);
+
+        // Skin pixels (Y-up) -> millimeters (Z-up), centered on the bed
+        const box = new THREE.Box3().setFromArray(mesh.positions);
+        const scale = options.height ? options.height / (box.max.y - box.min.y) : (options.scale ?? 1);
+        const cx = (box.min.x + box.max.x) / 2;
+        const cz = (box.min.z + box.max.z) / 2;
+        const p = mesh.positions;
+
+        for (let i = 0; i < p.length; i += 3) {
+            const x = p[i], y = p[i + 1], z = p[i + 2];
+            p[i] = (x - cx) * scale;
+            p[i + 1] = -(z - cz) * scale;
+            p[i + 2] = (y - box.min.y) * scale;
+        }
+
+        return mesh;
+    }
+
+    /**
+     * Exports the print mesh as binary STL.
+     * @param {Object} [options] - See buildPrintMesh().
+     * @returns {ArrayBuffer}
+     */
+    exportSTL(options = {}) {
+        const { positions, indices } = this.buildPrintMesh(options);
+        const count = indices.length / 3;
+
+        const buffer = new ArrayBuffer(84 + count * 50);
+        const view = new DataView(buffer);
+
+        const header = 'Exported by bucciafico-lib';
+        for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+        view.setUint32(80, count, true);
+
+        const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+        const normal = new THREE.Vector3(), edge = new THREE.Vector3();
+        let offset = 84;
+
+        for (let t = 0; t < count; t++) {
+            a.fromArray(positions, indices[t * 3] * 3);
+            b.fromArray(positions, indices[t * 3 + 1] * 3);
+            c.fromArray(positions, indices[t * 3 + 2] * 3);
+
+            normal.subVectors(b, a).cross(edge.subVectors(c, a)).normalize();
+
+            [normal, a, b, c].forEach(v => {
+                view.setFloat32(offset, v.x, true);
+                view.setFloat32(offset + 4, v.y, true);
+                view.setFloat32(offset + 8, v.z, true);
+                offset += 12;
+            });
+            view.setUint16(offset, 0, true);
+            offset += 2;
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Exports the print mesh as Wavefront OBJ with an MTL library holding one material per color.
+     * @param {Object} [options] - See buildPrintMesh().
+     * @param {string} [options.name='character'] - Base name, used for the mtllib reference.
+     * @returns {{obj: string, mtl: string}}
+     */
+    exportOBJ(options = {}) {
+        const { positions, indices, colors } = this.buildPrintMesh(options);
+        const name = options.name ?? 'character';
+
+        const obj = ['# Exported by bucciafico-lib', `mtllib ${name}.mtl`, `o ${name}`];
+        for (let i = 0; i < positions.length; i += 3) {
+            obj.push(`v ${positions[i].toFixed(4)} ${positions[i + 1].toFixed(4)} ${positions[i + 2].toFixed(4)}`);
+        }
+
+        // Group faces by color to keep the number of material switches low
+        const byColor = new Map();
+        for (let t = 0; t < colors.length; t++) {
+            if (!byColor.has(colors[t])) byColor.set(colors[t], []);
+            byColor.get(colors[t]).push(t);
+        }
+
+        const mtl = ['# Exported by bucciafico-lib'];
+        byColor.forEach((triangles, color) => {
+            const matName = `color_${color.toString(16).padStart(6, '0')}`;
+            const r = ((color >> 16) & 255) / 255, g = ((color >> 8) & 255) / 255, b = (color & 255) / 255;
+            mtl.push(`newmtl ${matName}`, `Kd ${r.toFixed(4)} ${g.toFixed(4)} ${b.toFixed(4)}`, '');
+
+            obj.push(`usemtl ${matName}`);
+            triangles.forEach(t => {
+                obj.push(`f ${indices[t * 3] + 1} ${indices[t * 3 + 1] + 1} ${indices[t * 3 + 2] + 1}`);
+            });
+        });
+
+        return { obj: obj.join('\n') + '\n', mtl: mtl.join('\n') };
+    }
+
+    /**
+     * Collects every visible mesh of the character and its items as boxes with a color lookup.
+     * BoxGeometry meshes (inner layer, cape, elytra, armor) are sampled through their face UVs,
+     * merged voxel geometries (outer layer, items) are split back into their 24-vertex cubes.
+     * @returns {Array<{matrix: THREE.Matrix4, min: THREE.Vector3, max: THREE.Vector3, colorAt: Function}>}
+     */
+    _collectPrintSources() {
+        const roots = this.viewer.characters.map(c => c.group);
+
+        const itemsPlugin = this.viewer.getPlugin('ItemsPlugin');
+        if (itemsPlugin) {
+            roots.push(...itemsPlugin.items.filter(item => !item.userData.parentId));
+        }
+
+        const pixelCache = new Map();
+        const getPixels = (texture) => {
+            if (!texture || !texture.image) return null;
+            if (!pixelCache.has(texture)) pixelCache.set(texture, getImagePixels(texture.image));
+            return pixelCache.get(texture);
+        };
+
+        const sources = [];
+
+        roots.forEach(root => {
+            root.updateWorldMatrix(true, true);
+
+            root.traverseVisible(obj => {
+                if (!obj.isMesh || isGlowObject(obj) || isGlowObject(obj.parent)) return;
+
+                const material = obj.userData.originalMat || obj.material;
+                const sampler = this._createColorSampler(material, getPixels(material.map));
+
+                if (obj.geometry.type === 'BoxGeometry') {
+                    sources.push(this._boxSource(obj, material, sampler));
+                } else {
+                    sources.push(...this._voxelSources(obj, sampler));
+                }
+            });
+        });
+
+        return sources;
+    }
+
+    /**
+     * Returns a function (u, v) -> { color: 0xRRGGBB, opaque: boolean } reading the material texture,
+     * multiplied by the material color (armor dye).
+     */
+    _createColorSampler(material, pixels) {
+        const tint = material.color ? material.color.getHex(THREE.SRGBColorSpace) : 0xffffff;
+        const tr = (tint >> 16) & 255, tg = (tint >> 8) & 255, tb = tint & 255;
+
+        return (u, v) => {
+            if (!pixels) return { color: tint, opaque: true };
+
+            const x = Math.min(pixels.width - 1, Math.max(0, Math.floor(u * pixels.width)));
+            const y = Math.min(pixels.height - 1, Math.max(0, Math.floor((1 - v) * pixels.height)));
+            const i = (y * pixels.width + x) * 4;
+            const d = pixels.data;
+
+            const r = Math.round(d[i] * tr / 255), g = Math.round(d[i + 1] * tg / 255), b = Math.round(d[i + 2] * tb / 255);
+            return { color: (r << 16) | (g << 8) | b, opaque: d[i + 3] >= 128 };
+        };
+    }
+
+    /**
+     * A single textured box. Each inside point takes the texel of the nearest face, so transparent
+     * texels carve the box (cape, elytra, armor) except on the inner skin layer, which is always solid.
+     */
+    _boxSource(mesh, material, sampler) {
+        const { width, height, depth } = mesh.geometry.parameters;
+        const pos = mesh.geometry.attributes.position;
+        const uv = mesh.geometry.attributes.uv;
+        const solid = mesh.userData.skinLayer === 'inner' || !material.alphaTest;
+
+        // BoxGeometry faces (+x, -x, +y, -y, +z, -z) are 4 vertices each, the first three span the face
+        const faces = [];
+        for (let f = 0; f < 6; f++) {
+            const i = f * 4;
+            const origin = new THREE.Vector3().fromBufferAttribute(pos, i);
+            const edgeU = new THREE.Vector3().fromBufferAttribute(pos, i + 1).sub(origin);
+            const edgeV = new THREE.Vector3().fromBufferAttribute(pos, i + 2).sub(origin);
+            faces.push({
+                origin, edgeU, edgeV,
+                lenU: edgeU.lengthSq(), lenV: edgeV.lengthSq(),
+                uv0: [uv.getX(i), uv.getY(i)],
+                uvU: [uv.getX(i + 1) - uv.getX(i), uv.getY(i + 1) - uv.getY(i)],
+                uvV: [uv.getX(i + 2) - uv.getX(i), uv.getY(i + 2) - uv.getY(i)]
+            });
+        }
+
+        const hw = width / 2, hh = height / 2, hd = depth / 2;
+        const rel = new THREE.Vector3();
+        const clamp = (x) => Math.min(0.9999, Math.max(0, x));
+
+        const colorAt = (p) => {
+            const dist = [hw - p.x, p.x + hw, hh - p.y, p.y + hh, hd - p.z, p.z + hd];
+            let f = 0;
+            for (let i = 1; i < 6; i++) if (dist[i] < dist[f]) f = i;
+
+            const face = faces[f];
+            rel.subVectors(p, face.origin);
+            const a = clamp(rel.dot(face.edgeU) / face.lenU);
+            const b = clamp(rel.dot(face.edgeV) / face.lenV);
+
+            const texel = sampler(
+                face.uv0[0] + a * face.uvU[0] + b * face.uvV[0],
+                face.uv0[1] + a * face.uvU[1] + b * face.uvV[1]
+            );
+            return texel.opaque || solid ? texel.color : -1;
+        };
+
+        return {
+            matrix: mesh.matrixWorld,
+            min: new THREE.Vector3(-hw, -hh, -hd),
+            max: new THREE.Vector3(hw, hh, hd),
+            colorAt
+        };
+    }
+
+    /**
+     * Splits a merged voxel geometry (Voxelizer, ItemFactory) into its cubes, each with a single color.
+     */
+    _voxelSources(mesh, sampler) {
+        const pos = mesh.geometry.attributes.position;
+        const uv = mesh.geometry.attributes.uv;
+        if (!uv || pos.count % 24 !== 0) return [];
+
+        const sources = [];
+        const v = new THREE.Vector3();
+
+        for (let start = 0; start < pos.count; start += 24) {
+            const min = new THREE.Vector3(Infinity, Infinity, Infinity);
+            const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+            for (let i = start; i < start + 24; i++) {
+                v.fromBufferAttribute(pos, i);
+                min.min(v);
+                max.max(v);
+            }
+
+            const color = sampler(uv.getX(start), uv.getY(start)).color;
+            sources.push({ matrix: mesh.matrixWorld, min, max, colorAt: () => color });
+        }
+
+        return sources;
+    }
+}
@@ -0,0 +1,346 @@
+import * as THREE from 'three';
+import { DEFAULT_JOINT_LIMITS, clampRotation } from '../utils/JointLimits.js';
+
+/**
+ * End effectors driven by the IK handles.
+ * 'limb' effectors sit at the end of the limb (hand/foot) and rotate it around its pivot (shoulder/hip).
+ * With bendable limbs the elbow/knee is solved too, bending around X in the 'bend' direction.
+ * 'look' effectors are a gaze target in front of the part.
+ */
+const EFFECTORS = {
+    rightHand: { part: 'rightArm', type: 'limb', bend: -1, color: 0xff5555 },
+    leftHand: { part: 'leftArm', type: 'limb', bend: -1, color: 0x55ff55 },
+    rightFoot: { part: 'rightLeg', type: 'limb', bend: 1, color: 0xff9955 },
+    leftFoot: { part: 'leftLeg', type: 'limb', bend: 1, color: 0x55ffcc },
+    look: { part: 'head', type: 'look', color: 0x55aaff }
+};
+
+/** Distance of the gaze handle in front of the face, in model units. */
+const LOOK_DISTANCE = 16;
+
+/**
+ * Plugin responsible for Inverse Kinematics.
+ * Shows draggable handles on the hands, feet and in front of the head. Dragging a handle solves the
+ * shoulder/hip rotation (and the elbow/knee on bendable limbs) that makes the hand or foot reach it,
+ * or turns the head towards it, within the joint limits of the rig (DEFAULT_JOINT_LIMITS for rigs without limits).
+ */
+export class IKPlugin {
+    /**
+     * @param {Object} [options]
+     * @param {Object<string, Object>} [options.limits] - Per-part limits merged over the limits of the active
+     *        character's rig (or DEFAULT_JOINT_LIMITS) on init. See setJointLimits().
+     * @param {number} [options.handleSize=0.8] - Handle radius in model units.
+     */
+    constructor(options = {}) {
+        this.name = 'IKPlugin';
+
+        this.enabled = false;
+        this.initialLimits = options.limits ?? null;
+        this.handleSize = options.handleSize ?? 0.8;
+
+        /** @type {Object<string, THREE.Mesh>} */
+        this.handles = {};
+        /** @type {string|null} Effector being dragged. */
+        this.dragging = null;
+    }
+
+    init(viewer) {
+        this.viewer = viewer;
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+        this.dragPlane = new THREE.Plane();
+
+        this.createHandles();
+        this.bindEvents();
+
+        if (this.initialLimits) {
+            const skinModel = viewer.skinModel;
+            skinModel.setJointLimits({ ...(skinModel.jointLimits ?? DEFAULT_JOINT_LIMITS), ...this.initialLimits });
+        }
+    }
+
+    createHandles() {
+        const geometry = new THREE.SphereGeometry(this.handleSize, 16, 12);
+
+        for (const [name, effector] of Object.entries(EFFECTORS)) {
+            const material = new THREE.MeshBasicMaterial({
+                color: effector.color,
+                transparent: true,
+                opacity: 0.8,
+                depthTest: false
+            });
+            const handle = new THREE.Mesh(geometry, material);
+            handle.name = `ik:${name}`;
+            handle.userData.effector = name;
+            handle.visible = false;
+            handle.renderOrder = 999;
+
+            this.handles[name] = handle;
+            this.viewer.overlayScene.add(handle);
+        }
+    }
+
+    bindEvents() {
+        this.onPointerDown = (e) => this.handlePointerDown(e);
+        this.onPointerMove = (e) => this.handlePointerMove(e);
+        this.onPointerUp = () => this.endDrag();
+
+        // Capture phase, so grabbing a handle stops the Editor selection and OrbitControls
+        const canvas = this.viewer.renderer.domElement;
+        canvas.addEventListener('pointerdown', this.onPointerDown, { capture: true });
+        canvas.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('pointerup', this.onPointerUp);
+    }
+
+    /**
+     * Shows or hides the IK handles.
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.endDrag();
+
+        this.syncHandles();
+        this.viewer.requestRender();
+    }
+
+    /**
+     * Replaces the rotation limits of a joint of the active character's rig (recorded in the Editor history).
+     * Shorthand for viewer.setJointLimits(); the other joints keep their limits (DEFAULT_JOINT_LIMITS if the
+     * rig had none).
+     * @param {string} part - e.g. 'rightArm', 'head'.
+     * @param {{x?: Array<number>, y?: Array<number>, z?: Array<number>}|null} limits - [min, max] radians per axis,
+     *        null to leave the joint unconstrained.
+     */
+    setJointLimits(part, limits) {
+        const current = this.viewer.skinModel.jointLimits ?? DEFAULT_JOINT_LIMITS;
+        this.viewer.setJointLimits({ ...current, [part]: limits });
+    }
+
+    /**
+     * Moves an effector to a target and solves the joint rotation (recorded in the Editor history).
+     * @param {'rightHand'|'leftHand'|'rightFoot'|'leftFoot'|'look'} effector
+     * @param {THREE.Vector3|THREE.Object3D} target - World position, or an object to reach (e.g. a held item).
+     * @returns {boolean} False if the limb can't point at (rigid limbs) or reach (bendable limbs) the target
+     *          within the joint limits. The closest allowed pose is used.
+     */
+    setTarget(effector, target) {
+        if (!EFFECTORS[effector]) throw new Error(`Unknown IK effector "${effector}"`);
+
+        const position = target.isObject3D ? target.getWorldPosition(new THREE.Vector3()) : target.clone();
+
+        const editor = this.viewer.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
+        const reached = this.solve(effector, position);
+        this.syncHandles();
+        this.viewer.requestRender();
+        return reached;
+    }
+
+    /**
+     * Turns the head towards a world position or object.
+     * @param {THREE.Vector3|THREE.Object3D} target
+     * @returns {boolean}
+     */
+    lookAt(target) {
+        return this.setTarget('look', target);
+    }
+
+    /**
+     * Returns the world position an effector currently sits at.
+     * @param {string} effector
+     * @returns {THREE.Vector3|null}
+     */
+    getEffectorPosition(effector) {
+        const config = EFFECTORS[effector];
+        const part = config && this.viewer.skinModel.parts[config.part];
+        if (!part) return null;
+
+        if (config.type === 'limb') {
+            const { end, offset } = this._limbEnd(part);
+            end.updateWorldMatrix(true, false);
+            return end.localToWorld(offset);
+        }
+
+        const offset = part.userData.meshOffset.clone();
+        offset.z += LOOK_DISTANCE;
+
+        part.updateWorldMatrix(true, false);
+        return part.localToWorld(offset);
+    }
+
+    // --- SOLVER ---
+
+    /**
+     * Rotates the joint of an effector towards a world position, without recording history.
+     * @param {string} effector
+     * @param {THREE.Vector3} target - World position.
+     * @returns {boolean} See setTarget().
+     */
+    solve(effector, target) {
+        const config = EFFECTORS[effector];
+        const part = this.viewer.skinModel.parts[config.part];
+        if (!part || !part.parent) return false;
+
+        part.parent.updateWorldMatrix(true, false);
+        const local = part.parent.worldToLocal(target.clone());
+
+        if (config.type === 'look') {
+            // Aim from the center of the head; the rotation itself happens around the neck pivot
+            const center = part.userData.meshOffset.clone().add(part.position);
+            const dir = local.sub(center);
+            if (dir.lengthSq() < 1e-6) return false;
+            dir.normalize();
+
+            // For XYZ order, +Z rotated by (pitch, yaw, roll) is (sin(yaw), -cos(yaw)sin(pitch), cos(yaw)cos(pitch))
+            const yaw = Math.asin(THREE.MathUtils.clamp(dir.x, -1, 1));
+            const pitch = Math.atan2(-dir.y, dir.z);
+            part.rotation.set(pitch, yaw, part.rotation.z);
+            this._clamp(part);
+
+            const reached = new THREE.Vector3(0, 0, 1).applyEuler(part.rotation);
+            return this._finish(effector, reached.dot(dir) > 0.999);
+        }
+
+        const toTarget = local.sub(part.position);
+        const distance = toTarget.length();
+        if (distance < 1e-3) return false;
+
+        const { end, offset } = this._limbEnd(part);
+        if (end !== part) {
+            // Two-bone solve: the elbow/knee angle sets the shoulder-hand (hip-foot) distance (law of cosines)
+            const upperLength = end.position.length();
+            const lowerLength = offset.length();
+            const d = THREE.MathUtils.clamp(distance, Math.abs(upperLength - lowerLength) + 1e-3, upperLength + lowerLength - 1e-3);
+            const cos = (upperLength * upperLength + lowerLength * lowerLength - d * d) / (2 * upperLength * lowerLength);
+            const bend = Math.PI - Math.acos(THREE.MathUtils.clamp(cos, -1, 1));
+
+            end.rotation.x = config.bend * bend;
+            this._clamp(end);
+        }
+
+        // Swing from the current limb direction, so the twist set by the user is kept
+        const currentDir = this._limbVector(part).normalize();
+        part.quaternion.premultiply(new THREE.Quaternion().setFromUnitVectors(currentDir, toTarget.clone().normalize()));
+        this._clamp(part);
+
+        const reach = this._limbVector(part);
+        const reached = end !== part
+            ? reach.distanceTo(toTarget) < 0.05
+            : reach.normalize().dot(toTarget.normalize()) > 0.999;
+        return this._finish(effector, reached);
+    }
+
+    /** Clamps a part to the limits of its rig, or to DEFAULT_JOINT_LIMITS if the rig has none. */
+    _clamp(part) {
+        const limits = this.viewer.skinModel.jointLimits ?? DEFAULT_JOINT_LIMITS;
+        clampRotation(part.rotation, limits[part.name]);
+    }
+
+    /**
+     * Returns the last segment of a limb (the part itself, or its lower segment on bendable limbs)
+     * and the position of the hand/foot in its space.
+     */
+    _limbEnd(part) {
+        const end = this.viewer.skinModel.parts[part.userData.lower] || part;
+        const offset = end.userData.meshOffset.clone();
+        offset.y -= (end.userData.segment?.height ?? end.userData.size.h) / 2;
+        return { end, offset };
+    }
+
+    /** Vector from the joint to the hand/foot, in the parent space of the limb. */
+    _limbVector(part) {
+        const { end, offset } = this._limbEnd(part);
+        if (end !== part) offset.applyQuaternion(end.quaternion).add(end.position);
+        return offset.applyQuaternion(part.quaternion);
+    }
+
+    _finish(effector, reached) {
+        const part = EFFECTORS[effector].part;
+        this.viewer.emit('ik:change', { effector, part, rotation: this.viewer.skinModel.parts[part].rotation.clone() });
+        return reached;
+    }
+
+    // --- INTERACTION ---
+
+    handlePointerDown(event) {
+        if (!this.enabled || event.button !== 0) return;
+
+        this.updateRay(event);
+        const visible = Object.values(this.handles).filter(h => h.visible);
+        const hit = this.raycaster.intersectObjects(visible, false)[0];
+        if (!hit) return;
+
+        event.stopImmediatePropagation();
+
+        const camera = this.viewer.cameraManager.camera;
+        const normal = camera.getWorldDirection(new THREE.Vector3());
+        this.dragPlane.setFromNormalAndCoplanarPoint(normal, hit.object.position);
+
+        this.dragging = hit.object.userData.effector;
+        this.viewer.cameraManager.setEnabled(false);
+
+        const editor = this.viewer.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+    }
+
+    handlePointerMove(event) {
+        if (!this.dragging) return;
+
+        this.updateRay(event);
+        const point = this.raycaster.ray.intersectPlane(this.dragPlane, new THREE.Vector3());
+        if (!point) return;
+
+        this.handles[this.dragging].position.copy(point);
+        this.solve(this.dragging, point);
+        this.viewer.requestRender();
+    }
+
+    endDrag() {
+        if (!this.dragging) return;
+
+        this.dragging = null;
+        this.viewer.cameraManager.setEnabled(true);
+        this.syncHandles();
+        this.viewer.requestRender();
+    }
+
+    updateRay(event) {
+        const rect = this.viewer.renderer.domElement.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.mouse, this.viewer.cameraManager.camera);
+    }
+
+    /**
+     * Moves the handles onto the effectors (the dragged one follows the pointer instead).
+     */
+    syncHandles() {
+        for (const [name, handle] of Object.entries(this.handles)) {
+            const position = this.enabled ? this.getEffectorPosition(name) : null;
+            handle.visible = !!position;
+            if (position && name !== this.dragging) handle.position.copy(position);
+        }
+    }
+
+    update() {
+        // Poses can change from the gizmo, animations or undo
+        if (this.enabled) this.syncHandles();
+    }
+
+    dispose() {
+        const canvas = this.viewer.renderer.domElement;
+        canvas.removeEventListener('pointerdown', this.onPointerDown, { capture: true });
+        canvas.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+
+        const handles = Object.values(this.handles);
+        handles.forEach(handle => {
+            this.viewer.overlayScene.remove(handle);
+            handle.material.dispose();
+        });
+        if (handles[0]) handles[0].geometry.dispose();
+        this.handles = {};
+    }
+}
@@ -19,8 +19,11 @@ export class IOPlugin {
      * @param {boolean} options.effects - Include effects config.
      * @param {boolean} options.pose - Include character pose.
      * @param {boolean} options.items - Include items.
+     * @param {boolean} options.animation - Include animation timeline.
+     * @param {boolean} options.armor - Include equipped armor.
+     * The first character is stored in the top-level fields (skin, pose, armor...), other characters in `characters`.
      */
-    exportState(options = { skin: true, camera: true, effects: true, pose: true, items: true, env: true }) {
+    exportState(options = { skin: true, camera: true, effects: true, pose: true, items: true, env: true, animation: true, armor: true }) {
         const state = {
             meta: {
                 generator: "Bucciafico Studio",
@@ -34,9 +37,30 @@ export class IOPlugin {
         const isOne = (arr) => arr[0] === 1 && arr[1] === 1 && arr[2] === 1;
         const f = (n) => parseFloat(n.toFixed(3));
 
+        const armorPlugin = this.viewer.getPlugin('ArmorPlugin');
+        const [first, ...others] = this.viewer.characters;
+
+        // 1. Characters
+        state.core.character = { id: first.id, name: first.name, transform: first.getTransform() };
+
         if (options.skin) {
-            state.core.skin = this.viewer.skinData || null;
-            state.core.cape = this.viewer.capeData || null;
+            state.core.skin = first.skinData || null;
+            state.core.cape = first.capeData || null;
+            state.core.elytra = first.elytraData || null;
+        }
+
+        if (others.length > 0) {
+            state.characters = others.map(character => {
+                const entry = { id: character.id, name: character.name, transform: character.getTransform() };
+                if (options.skin) {
+                    entry.skin = character.skinData || null;
+                    entry.cape = character.capeData || null;
+                    entry.elytra = character.elytraData || null;
+                }
+                if (options.pose) entry.pose = character.skinModel.getPose();
+                if (options.armor && armorPlugin) entry.armor = armorPlugin.getState(character.id);
+                return entry;
+            });
         }
 
         // 2. Camera & Config
@@ -45,7 +69,8 @@ export class IOPlugin {
             state.core.config = {
                 bgColor: this.viewer.config.bgColor,
                 transparent: this.viewer.config.transparent,
-                showGrid: this.viewer.config.showGrid
+                showGrid: this.viewer.config.showGrid,
+                bendableLimbs: this.viewer.config.bendableLimbs
             };
         }
 
@@ -56,7 +81,7 @@ export class IOPlugin {
 
         // 4. Pose
         if (options.pose) {
-            state.pose = this.viewer.skinModel.getPose();
+            state.pose = first.skinModel.getPose();
         }
 
         // 5. Effects
@@ -88,12 +113,29 @@ export class IOPlugin {
                         uuid: item.uuid,
                         sourceUrl: item.userData.sourceUrl || null,
                         parentId: item.userData.parentId || null,
+                        characterId: item.userData.characterId || null,
                         transform: Object.keys(transform).length > 0 ? transform : undefined
                     };
                 });
             }
         }
 
+        // 7. Armor
+        if (options.armor) {
+            const armor = armorPlugin ? armorPlugin.getState(first.id) : {};
+            if (Object.keys(armor).length > 0) {
+                state.armor = armor;
+            }
+        }
+
+        // 8. Animation
+        if (options.animation) {
+            const animPlugin = this.viewer.getPlugin('AnimationPlugin');
+            if (animPlugin && animPlugin.keyframes.length > 0) {
+                state.animation = animPlugin.getTimeline();
+            }
+        }
+
         return state;
     }
 
@@ -106,6 +148,17 @@ export class IOPlugin {
     async importState(jsonData) {
         const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
 
+        // The whole import is a single undo step
+        const editor = this.viewer.getPlugin('EditorPlugin');
+        if (editor) editor.beginTransaction();
+        try {
+            await this._importState(data);
+        } finally {
+            if (editor) editor.endTransaction();
+        }
+    }
+
+    async _importState(data) {
         // 1. Core Config (Background, Grid)
         if (data.core?.config) {
             const cfg = data.core.config;
@@ -114,6 +167,8 @@ export class IOPlugin {
             if (!cfg.transparent && cfg.bgColor) {
                 this.viewer.scene.background.setHex(cfg.bgColor);
             }
+            // Applied by the model rebuilds below
+            if (cfg.bendableLimbs !== undefined) this.viewer.config.bendableLimbs = cfg.bendableLimbs;
         }
 
         // 2. Camera
@@ -126,36 +181,26 @@ export class IOPlugin {
             this.viewer.setEnvironment(data.environment);
         }
 
-        this.viewer.loadPlaceholderSkin();
-        this.viewer.resetCape();
-
-        if (data.pose) {
-            this.viewer.setPose(data.pose);
-        }
+        // 4. Characters & Skin/Cape (Async)
+        // The first character is kept (and becomes the active one), the others are recreated
+        const [first, ...others] = this.viewer.characters;
+        this.viewer.setActiveCharacter(first.id);
+        others.forEach(character => this.viewer.removeCharacter(character.id));
+        first.setTransform(data.core?.character?.transform);
 
-        const loadPromises = [];
-        // 4. Skin/Cape (Async)
-        if (data.core?.skin) {
-            const skinInfo = data.core.skin;
-            if (skinInfo.type === 'username') {
-                loadPromises.push(this.viewer.loadSkinByUsername(skinInfo.value));
-            } else if (skinInfo.value) {
-                loadPromises.push(this.viewer.loadSkin(skinInfo.value));
-            }
-        }
-
-        if (data.core?.cape) {
-            const capeInfo = data.core.cape;
-            if (capeInfo.type === 'username') {
-                loadPromises.push(this.viewer.loadCapeByUsername(capeInfo.value));
-            } else if (capeInfo.value) {
-                loadPromises.push(this.viewer.loadCape(capeInfo.value));
-            }
-        } else {
-            this.viewer.resetCape();
-        }
+        // Saved character id -> character, for items held by a character
+        const characterIds = { [data.core?.character?.id ?? first.id]: first.id };
+        const extras = (data.characters || []).map(entry => {
+            const id = entry.id && !this.viewer.getCharacter(entry.id) ? entry.id : undefined;
+            const character = this.viewer.addCharacter({ id, name: entry.name, transform: entry.transform, activate: false });
+            if (entry.id) characterIds[entry.id] = character.id;
+            return { character, entry };
+        });
 
-        await Promise.allSettled(loadPromises);
+        await Promise.all([
+            this._loadCharacter(first, { skin: data.core?.skin, cape: data.core?.cape, elytra: data.core?.elytra, pose: data.pose }),
+            ...extras.map(({ character, entry }) => this._loadCharacter(character, entry))
+        ]);
         if (this.viewer.isDisposed) return;
 
         // 5. Effects
@@ -178,7 +223,7 @@ export class IOPlugin {
                         const mesh = await itemsPlugin.addItem(itemData.sourceUrl, itemData.name);
 
                         if (itemData.parentId) {
-                            itemsPlugin.attachItem(mesh, itemData.parentId);
+                            itemsPlugin.attachItem(mesh, itemData.parentId, characterIds[itemData.characterId]);
                         }
 
                         if (itemData.transform) {
@@ -202,5 +247,59 @@ export class IOPlugin {
         if (data.pose) {
             this.viewer.setPose(data.pose);
         }
+
+        // 8. Armor
+        const armorPlugin = this.viewer.getPlugin('ArmorPlugin');
+        if (armorPlugin) {
+            await Promise.all([
+                armorPlugin.setState(data.armor || {}, first.id),
+                ...extras.map(({ character, entry }) => armorPlugin.setState(entry.armor || {}, character.id))
+            ]);
+        }
+
+        // 9. Animation
+        const animPlugin = this.viewer.getPlugin('AnimationPlugin');
+        if (animPlugin) {
+            if (data.animation) {
+                animPlugin.loadTimeline(data.animation);
+            } else {
+                animPlugin.clearKeyframes();
+            }
+        }
+    }
+
+    /**
+     * Resets a character and loads its skin, cape, elytra and pose.
+     * Sources keep their type (url/username/uuid) and the resolver that served them.
+     * @param {Character} character
+     * @param {{skin?: Object, cape?: Object, elytra?: Object, pose?: Object}} entry
+     */
+    async _loadCharacter(character, entry) {
+        this.viewer.loadPlaceholderSkin(character);
+
+        if (entry.pose) {
+            character.skinModel.setPose(entry.pose);
+        }
+
+        const loadPromises = [];
+        if (entry.skin?.value) {
+            loadPromises.push(this.viewer.loadSkinFromSource({ type: 'url', ...entry.skin }, character));
+        }
+
+        if (entry.cape?.value) {
+            loadPromises.push(this.viewer.loadCapeFromSource({ type: 'url', ...entry.cape }, character));
+        }
+
+        await Promise.allSettled(loadPromises);
+        if (this.viewer.isDisposed || !this.viewer.characters.includes(character)) return;
+
+        // Elytra may borrow the cape texture, so it's loaded after the cape
+        if (entry.elytra) {
+            try {
+                await this.viewer.loadElytra(entry.elytra.type === 'url' ? entry.elytra.value : null, character);
+            } catch (e) {
+                console.warn('Failed to import elytra:', e);
+            }
+        }
     }
 }
\ No newline at end of file
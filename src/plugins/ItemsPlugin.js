@@ -17,23 +17,48 @@ export class ItemsPlugin {
 
     init(viewer) {
         this.viewer = viewer;
+
+        // Items held by a removed character stay in the scene where they are
+        this.onCharacterRemoved = (character) => {
+            this.items
+                .filter(item => item.userData.characterId === character.id)
+                .forEach(item => {
+                    this.viewer.scene.attach(item);
+                    item.userData.parentId = null;
+                    item.userData.characterId = null;
+                });
+        };
+        this.viewer.on('character:removed', this.onCharacterRemoved);
     }
 
-    attachItem(itemMesh, partName) {
+    /**
+     * Attaches an item to a body part, or back to the scene.
+     * @param {THREE.Object3D} itemMesh
+     * @param {string|null} partName - e.g. 'rightArm'. Null detaches the item.
+     * @param {string} [characterId] - Character holding the item. Defaults to the active character.
+     */
+    attachItem(itemMesh, partName, characterId) {
         const editor = this.viewer.getPlugin('EditorPlugin');
         if (editor) editor.saveHistory();
 
-        const skinModel = this.viewer.skinModel;
+        this._attach(itemMesh, partName, characterId);
+    }
+
+    _attach(itemMesh, partName, characterId) {
+        const character = characterId ? this.viewer.getCharacter(characterId) : this.viewer.activeCharacter;
+        const skinModel = character?.skinModel;
 
         if (!partName) {
             this.viewer.scene.attach(itemMesh);
             itemMesh.userData.parentId = null;
+            itemMesh.userData.characterId = null;
         }
 
-        else if (skinModel.parts[partName]) {
+        else if (skinModel?.parts[partName]) {
             const targetGroup = skinModel.parts[partName];
             targetGroup.attach(itemMesh);
             itemMesh.userData.parentId = partName;
+            itemMesh.userData.characterId = character.id;
         }
 
         if (this.viewer.emit) this.viewer.emit('transform:change', itemMesh);
@@ -82,7 +107,20 @@ export class ItemsPlugin {
         const editor = this.viewer.getPlugin('EditorPlugin');
         if (editor) editor.saveHistory();
 
+        return this._createItem(url, name).then(mesh => {
+            if (editor) editor.selectObject(mesh);
+            return mesh;
+        });
+    }
+
+    /**
+     * @param {string} url
+     * @param {string} name
+     * @param {string} [uuid] - Keeps the identity of a recreated item (undo), set before 'items:added' fires.
+     */
+    _createItem(url, name, uuid) {
         return ItemFactory.createFromURL(url, name).then(mesh => {
+            if (uuid) mesh.uuid = uuid;
             mesh.position.set(8, 8, 8);
             mesh.userData.sourceUrl = url;
 
@@ -97,8 +135,6 @@ export class ItemsPlugin {
             this.viewer.scene.add(mesh);
             this.items.push(mesh);
 
-            if (editor) editor.selectObject(mesh);
-
             if (this.viewer.emit) this.viewer.emit('items:added', mesh);
 
             return mesh;
@@ -109,11 +145,17 @@ export class ItemsPlugin {
         const editor = this.viewer.getPlugin('EditorPlugin');
         if (editor) editor.saveHistory();
 
-        this.viewer.scene.remove(mesh);
+        this._removeItem(mesh);
+    }
+
+    _removeItem(mesh) {
+        // Items may be attached to a body part
+        if (mesh.parent) mesh.parent.remove(mesh);
         this.items = this.items.filter(i => i !== mesh);
 
         disposeObjectTree(mesh);
 
+        const editor = this.viewer.getPlugin('EditorPlugin');
         if (editor) editor.deselect();
 
         if (this.viewer.emit) this.viewer.emit('items:removed', mesh);
@@ -159,18 +201,26 @@ export class ItemsPlugin {
             name: item.name,
             uuid: item.uuid,
             parentId: item.userData.parentId || null,
+            characterId: item.userData.characterId || null,
+            sourceUrl: item.userData.sourceUrl || null,
             pos: item.position.toArray(),
             rot: item.rotation.toArray(),
             scale: item.scale.toArray()
         }));
     }
 
+    /**
+     * Restores item transforms and parents. Items missing from the snapshot are left alone
+     * (used by animation playback).
+     * @param {Array<Object>} itemsState - Result of getSnapshot().
+     */
     restoreSnapshot(itemsState) {
         itemsState.forEach(state => {
             const item = this.items.find(i => i.uuid === state.uuid || i.name === state.name);
             if (item) {
-                if (state.parentId !== item.userData.parentId) {
-                    this.attachItem(item, state.parentId);
+                const characterId = state.characterId ?? null;
+                if (state.parentId !== item.userData.parentId || characterId !== (item.userData.characterId ?? null)) {
+                    this._attach(item, state.parentId, characterId);
                 }
 
                 item.position.fromArray(state.pos);
@@ -180,7 +230,31 @@ export class ItemsPlugin {
         });
     }
 
+    /**
+     * Makes the scene match a snapshot: removes items added since, recreates removed ones
+     * (from their source URL, keeping their uuid) and restores transforms. Used by undo/redo.
+     * @param {Array<Object>} itemsState - Result of getSnapshot().
+     * @returns {Promise<void>}
+     */
+    async syncSnapshot(itemsState) {
+        const ids = new Set(itemsState.map(state => state.uuid));
+        this.items.filter(item => !ids.has(item.uuid)).forEach(item => this._removeItem(item));
+
+        const missing = itemsState.filter(state => state.sourceUrl && !this.items.some(i => i.uuid === state.uuid));
+        await Promise.all(missing.map(async state => {
+            try {
+                await this._createItem(state.sourceUrl, state.name, state.uuid);
+            } catch (e) {
+                console.warn(`Failed to restore item ${state.name}:`, e);
+            }
+        }));
+
+        this.restoreSnapshot(itemsState);
+    }
+
     dispose() {
+        this.viewer.off('character:removed', this.onCharacterRemoved);
+
         this.items.forEach(mesh => {
             this.viewer.scene.remove(mesh);
             disposeObjectTree(mesh);
@@ -0,0 +1,497 @@
+import * as THREE from 'three';
+
+/** Left/right counterparts used by the mirror-X tool. */
+const MIRROR_PARTS = {
+    head: 'head',
+    body: 'body',
+    rightArm: 'leftArm',
+    leftArm: 'rightArm',
+    rightLeg: 'leftLeg',
+    leftLeg: 'rightLeg'
+};
+
+/**
+ * Plugin responsible for painting directly on the 3D model.
+ * Raycasts onto the inner boxes and voxel layer, resolves the hit to a skin texel
+ * and edits the live skin texture. Supports pencil, eraser, fill, eyedropper and mirror-X.
+ */
+export class PaintPlugin {
+    constructor() {
+        this.name = 'PaintPlugin';
+
+        this.enabled = false;
+        /** @type {'pencil'|'eraser'|'fill'|'eyedropper'} */
+        this.tool = 'pencil';
+        /** @type {'auto'|'inner'|'outer'} Layer to paint on. 'auto' paints on whatever was hit. */
+        this.layer = 'auto';
+        this.mirror = false;
+        this.color = { r: 255, g: 255, b: 255, a: 255 };
+
+        /** @type {SkinModel|null} Model whose skin is being painted (the active character). */
+        this.model = null;
+        this.canvas = null;
+        this.ctx = null;
+        /** @type {HTMLCanvasElement|null} Unedited copy of the skin, restored by undo. */
+        this.originalCanvas = null;
+        this.isDirty = false;
+
+        this.isPainting = false;
+        this.dirtyParts = new Set();
+
+        /** @type {WeakMap<THREE.Texture, Object>} Editable canvases of skins bound before, kept when switching characters. */
+        this.sessions = new WeakMap();
+    }
+
+    init(viewer) {
+        this.viewer = viewer;
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+
+        // Only the active character is painted on
+        this.onModelRebuilt = (model) => {
+            if (model === this.viewer.skinModel) this.bindTexture();
+        };
+        this.viewer.on('model:rebuilt', this.onModelRebuilt);
+
+        this.onCharacterActive = () => {
+            this.endStroke();
+            this._saveSession();
+            this.bindTexture();
+        };
+        this.viewer.on('character:active', this.onCharacterActive);
+
+        this.bindEvents();
+        this.bindTexture();
+    }
+
+    bindEvents() {
+        this.onPointerDown = (e) => this.handlePointerDown(e);
+        this.onPointerMove = (e) => this.handlePointerMove(e);
+        this.onPointerUp = () => this.endStroke();
+
+        // Capture phase, so a stroke can stop the Editor selection and OrbitControls
+        const canvas = this.viewer.renderer.domElement;
+        canvas.addEventListener('pointerdown', this.onPointerDown, { capture: true });
+        canvas.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('pointerup', this.onPointerUp);
+    }
+
+    /**
+     * Copies the current skin texture into an editable canvas and makes the texture use it.
+     */
+    bindTexture() {
+        const skin = this.viewer.skinModel;
+        let texture = skin.texture;
+        if (!texture || !texture.image) return;
+
+        // Back to a character painted before: keep its edits and undo baseline
+        const session = this.sessions.get(texture);
+        if (session) {
+            Object.assign(this, session);
+            return;
+        }
+
+        // Cached textures are shared with other viewers and later reloads, so paint on a private copy
+        if (texture.userData.cacheKey) {
+            const copy = texture.clone();
+            // clone() shares the Source, which holds the image
+            copy.source = new THREE.Source(texture.image);
+            copy.userData = {};
+            skin.bodyMeshes.forEach(mesh => {
+                if (mesh.material.map === texture) mesh.material.map = copy;
+            });
+            skin.texture = copy;
+            texture = copy;
+        }
+
+        const image = texture.image;
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(image, 0, 0);
+
+        this.originalCanvas = document.createElement('canvas');
+        this.originalCanvas.width = image.width;
+        this.originalCanvas.height = image.height;
+        this.originalCanvas.getContext('2d').drawImage(image, 0, 0);
+
+        texture.image = canvas;
+        texture.needsUpdate = true;
+
+        this.model = skin;
+        this.texture = texture;
+        this.canvas = canvas;
+        this.ctx = ctx;
+        this.isDirty = false;
+        this._saveSession();
+    }
+
+    _saveSession() {
+        if (!this.texture) return;
+
+        const { model, texture, canvas, ctx, originalCanvas, isDirty } = this;
+        this.sessions.set(texture, { model, texture, canvas, ctx, originalCanvas, isDirty });
+    }
+
+    // --- SETTINGS ---
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.endStroke();
+    }
+
+    /**
+     * @param {'pencil'|'eraser'|'fill'|'eyedropper'} tool
+     */
+    setTool(tool) { this.tool = tool; }
+
+    /**
+     * @param {'auto'|'inner'|'outer'} layer
+     */
+    setLayer(layer) { this.layer = layer; }
+
+    setMirror(enabled) { this.mirror = enabled; }
+
+    /**
+     * @param {string|number} color - Any THREE.Color input ('#ff0000', 0xff0000...).
+     * @param {number} [alpha=255]
+     */
+    setColor(color, alpha = 255) {
+        const c = new THREE.Color(color);
+        this.color = {
+            r: Math.round(c.r * 255),
+            g: Math.round(c.g * 255),
+            b: Math.round(c.b * 255),
+            a: alpha
+        };
+    }
+
+    getColor() {
+        const { r, g, b, a } = this.color;
+        return { hex: (r << 16) | (g << 8) | b, alpha: a };
+    }
+
+    // --- INPUT ---
+
+    handlePointerDown(event) {
+        if (!this.enabled || event.button !== 0 || !this.canvas) return;
+
+        const hit = this.pickTexel(event);
+        if (!hit) return;
+
+        event.stopImmediatePropagation();
+
+        if (this.tool === 'eyedropper') {
+            const data = this.ctx.getImageData(hit.x, hit.y, 1, 1).data;
+            this.color = { r: data[0], g: data[1], b: data[2], a: data[3] };
+            this.viewer.emit('paint:color', this.getColor());
+            return;
+        }
+
+        const editor = this.viewer.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
+        this.isPainting = true;
+        this.applyTool(hit);
+
+        if (this.tool === 'fill') this.endStroke();
+    }
+
+    handlePointerMove(event) {
+        if (!this.isPainting || this.tool === 'fill') return;
+
+        const hit = this.pickTexel(event);
+        if (hit) this.applyTool(hit);
+    }
+
+    endStroke() {
+        if (!this.isPainting) return;
+        this.isPainting = false;
+
+        // The model being painted, which may no longer be the active one
+        this.dirtyParts.forEach(name => this.model.rebuildVoxelLayer(name));
+        this.dirtyParts.clear();
+
+        this.viewer.requestRender();
+        this.viewer.emit('paint:stroke');
+    }
+
+    // --- PICKING ---
+
+    /**
+     * Raycasts the skin meshes and resolves the hit to a texel of the skin texture.
+     * @param {PointerEvent} event
+     * @returns {{x: number, y: number, part: string, layer: 'inner'|'outer'}|null}
+     */
+    pickTexel(event) {
+        const rect = this.viewer.renderer.domElement.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+        this.raycaster.setFromCamera(this.mouse, this.viewer.cameraManager.camera);
+
+        const skin = this.viewer.skinModel;
+        const meshes = [];
+        skin.getGroup().traverse(child => {
+            if (child.isMesh && child.userData.skinLayer && child.material.map === this.texture) {
+                meshes.push(child);
+            }
+        });
+
+        const hit = this.raycaster.intersectObjects(meshes, false)[0];
+        if (!hit || !hit.uv) return null;
+
+        let partGroup = hit.object;
+        while (partGroup.parent && partGroup.parent !== skin.getGroup()) partGroup = partGroup.parent;
+
+        const { width, height } = this.canvas;
+        const texel = {
+            x: Math.min(width - 1, Math.floor(hit.uv.x * width)),
+            y: Math.min(height - 1, Math.floor((1 - hit.uv.y) * height)),
+            part: partGroup.name,
+            layer: hit.object.userData.skinLayer
+        };
+
+        if (this.layer !== 'auto' && this.layer !== texel.layer) {
+            return this.toLayer(texel, this.layer);
+        }
+        return texel;
+    }
+
+    /**
+     * Maps a texel to the same spot on the other layer of its part.
+     */
+    toLayer(texel, layer) {
+        const part = this.viewer.skinModel.parts[texel.part];
+        if (!part || !part.userData.uv) return texel;
+        if (layer === 'outer' && !part.userData.renderVoxels) return texel;
+
+        const s = this.viewer.skinModel.layout.scale;
+        const from = part.userData.uv[texel.layer];
+        const to = part.userData.uv[layer];
+
+        return {
+            x: texel.x + (to.x - from.x) * s,
+            y: texel.y + (to.y - from.y) * s,
+            part: texel.part,
+            layer
+        };
+    }
+
+    /**
+     * Resolves a texel to its face rectangle within the part's unwrapped box layout.
+     * @returns {{face: string, rx: number, ry: number, x0: number, y0: number, w: number, h: number, dims: Object, origin: Object}|null}
+     */
+    getFaceInfo(texel) {
+        const part = this.viewer.skinModel.parts[texel.part];
+        if (!part || !part.userData.uv) return null;
+
+        const s = this.viewer.skinModel.layout.scale;
+        const size = part.userData.size;
+        const W = size.w * s, H = size.h * s, D = size.d * s;
+        const origin = { x: part.userData.uv[texel.layer].x * s, y: part.userData.uv[texel.layer].y * s };
+
+        const rx = texel.x - origin.x;
+        const ry = texel.y - origin.y;
+
+        const faces = ry < D
+            ? [['top', D, 0, W, D], ['bottom', D + W, 0, W, D]]
+            : [['right', 0, D, D, H], ['front', D, D, W, H], ['left', D + W, D, D, H], ['back', D + W + D, D, W, H]];
+
+        const face = faces.find(([, fx, fy, fw, fh]) => rx >= fx && rx < fx + fw && ry >= fy && ry < fy + fh);
+        if (!face) return null;
+
+        const [name, fx, fy, fw, fh] = face;
+        return { face: name, rx, ry, x0: origin.x + fx, y0: origin.y + fy, w: fw, h: fh, dims: { W, H, D }, origin };
+    }
+
+    /**
+     * Returns the texel mirrored across the model's X axis (may land on the opposite limb).
+     */
+    getMirrorTexel(texel) {
+        const info = this.getFaceInfo(texel);
+        if (!info) return null;
+
+        const skin = this.viewer.skinModel;
+        const targetName = MIRROR_PARTS[texel.part];
+        const target = skin.parts[targetName];
+        if (!target || !target.userData.uv) return null;
+
+        const { W, D } = info.dims;
+        const { rx, ry } = info;
+        let mx;
+
+        switch (info.face) {
+            case 'top':
+            case 'front':
+                mx = D + (W - 1 - (rx - D));
+                break;
+            case 'bottom':
+            case 'back':
+                mx = info.x0 - info.origin.x + (W - 1 - (rx - (info.x0 - info.origin.x)));
+                break;
+            case 'right':
+                mx = D + W + (D - 1 - rx);
+                break;
+            case 'left':
+                mx = D - 1 - (rx - (D + W));
+                break;
+        }
+
+        const targetUv = target.userData.uv[texel.layer];
+        const sourceUv = skin.parts[texel.part].userData.uv[texel.layer];
+
+        // Legacy left limbs share the right limb region, the mirroring happens in the UVs already
+        if (targetName !== texel.part && targetUv.x === sourceUv.x && targetUv.y === sourceUv.y) return null;
+
+        const s = skin.layout.scale;
+        return {
+            x: targetUv.x * s + mx,
+            y: targetUv.y * s + ry,
+            part: targetName,
+            layer: texel.layer
+        };
+    }
+
+    // --- TOOLS ---
+
+    applyTool(texel) {
+        const targets = [texel];
+        if (this.mirror) {
+            const mirrored = this.getMirrorTexel(texel);
+            if (mirrored && (mirrored.x !== texel.x || mirrored.y !== texel.y)) targets.push(mirrored);
+        }
+
+        targets.forEach(t => {
+            if (this.tool === 'fill') {
+                this.floodFill(t);
+            } else {
+                this.setTexel(t.x, t.y, this.tool === 'eraser' ? null : this.color);
+            }
+
+            if (t.layer === 'outer') this.dirtyParts.add(t.part);
+        });
+
+        this.isDirty = true;
+        this.texture.needsUpdate = true;
+        this.viewer.requestRender();
+    }
+
+    setTexel(x, y, color) {
+        this.ctx.clearRect(x, y, 1, 1);
+        if (!color) return;
+
+        const { r, g, b, a } = color;
+        this.ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${a / 255})`;
+        this.ctx.fillRect(x, y, 1, 1);
+    }
+
+    /**
+     * Fills the contiguous area of the same color, limited to the face that was hit.
+     */
+    floodFill(texel) {
+        const info = this.getFaceInfo(texel);
+        if (!info) return;
+
+        const { x0, y0, w, h } = info;
+        const imageData = this.ctx.getImageData(x0, y0, w, h);
+        const data = imageData.data;
+
+        const startIdx = ((texel.y - y0) * w + (texel.x - x0)) * 4;
+        const target = [data[startIdx], data[startIdx + 1], data[startIdx + 2], data[startIdx + 3]];
+        const { r, g, b, a } = this.color;
+        if (target[0] === r && target[1] === g && target[2] === b && target[3] === a) return;
+
+        const matches = (i) => data[i] === target[0] && data[i + 1] === target[1] && data[i + 2] === target[2] && data[i + 3] === target[3];
+        const stack = [[texel.x - x0, texel.y - y0]];
+
+        while (stack.length > 0) {
+            const [px, py] = stack.pop();
+            if (px < 0 || py < 0 || px >= w || py >= h) continue;
+
+            const i = (py * w + px) * 4;
+            if (!matches(i)) continue;
+
+            data[i] = r;
+            data[i + 1] = g;
+            data[i + 2] = b;
+            data[i + 3] = a;
+
+            stack.push([px + 1, py], [px - 1, py], [px, py + 1], [px, py - 1]);
+        }
+
+        this.ctx.putImageData(imageData, x0, y0);
+    }
+
+    // --- HISTORY & EXPORT ---
+
+    /**
+     * Returns the edited skin as a data URL, or null if it was not edited.
+     * Used by EditorPlugin history snapshots.
+     */
+    getSnapshot() {
+        return this.isDirty && this.canvas ? this.canvas.toDataURL('image/png') : null;
+    }
+
+    /**
+     * Restores the texture from a snapshot (null = unedited skin).
+     * @param {string|null} dataUrl
+     * @returns {Promise<void>}
+     */
+    restoreSnapshot(dataUrl) {
+        if (!this.canvas) return Promise.resolve();
+
+        const apply = (source) => {
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            this.ctx.drawImage(source, 0, 0);
+            this.isDirty = dataUrl !== null;
+            this.texture.needsUpdate = true;
+
+            // Lower limb segments are rebuilt with their limb
+            const skin = this.viewer.skinModel;
+            Object.entries(skin.parts).forEach(([name, part]) => {
+                if (!part.userData.upper) skin.rebuildVoxelLayer(name);
+            });
+            this.viewer.requestRender();
+        };
+
+        if (!dataUrl) {
+            apply(this.originalCanvas);
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                apply(img);
+                resolve();
+            };
+            img.onerror = reject;
+            img.src = dataUrl;
+        });
+    }
+
+    /**
+     * Exports the edited skin as a PNG data URL.
+     * @returns {string}
+     */
+    exportPNG() {
+        return this.canvas ? this.canvas.toDataURL('image/png') : null;
+    }
+
+    dispose() {
+        const canvas = this.viewer.renderer?.domElement;
+        if (canvas) {
+            canvas.removeEventListener('pointerdown', this.onPointerDown, { capture: true });
+            canvas.removeEventListener('pointermove', this.onPointerMove);
+        }
+        window.removeEventListener('pointerup', this.onPointerUp);
+        this.viewer.off('model:rebuilt', this.onModelRebuilt);
+        this.viewer.off('character:active', this.onCharacterActive);
+
+        this.canvas = null;
+        this.ctx = null;
+        this.originalCanvas = null;
+    }
+}
@@ -0,0 +1,136 @@
+import { MemoryPoseStorage } from '../utils/PoseStorage.js';
+import { PosePresets } from '../utils/PosePresets.js';
+import { mirrorPose, pickPose, expandParts } from '../utils/PoseUtils.js';
+
+/**
+ * Plugin responsible for the library of named poses.
+ * Poses are saved to a pluggable storage (in-memory by default, see PoseStorage.js) next to read-only
+ * built-in presets, and can be applied in full, to a subset of parts, or mirrored.
+ */
+export class PoseLibraryPlugin {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.storage] - Storage adapter (MemoryPoseStorage, LocalStoragePoseStorage or custom).
+     * @param {Object<string, Object>} [options.presets] - Extra built-in poses, merged with PosePresets.
+     */
+    constructor(options = {}) {
+        this.name = 'PoseLibraryPlugin';
+
+        this.storage = options.storage || new MemoryPoseStorage();
+
+        /** @type {Object<string, Object>} Read-only poses, listed after the saved ones. */
+        this.presets = { ...PosePresets, ...options.presets };
+    }
+
+    init(viewer) {
+        this.viewer = viewer;
+    }
+
+    /**
+     * Replaces the storage adapter.
+     * @param {Object} storage
+     */
+    setStorage(storage) {
+        this.storage = storage;
+        this._notify();
+    }
+
+    /**
+     * Saves the current pose under a name (overwrites an existing one).
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {Array<string>} [options.parts] - Only store these parts (names or groups like 'arms', 'legs', 'root').
+     * @returns {Promise<Object>} The stored pose.
+     */
+    async savePose(name, options = {}) {
+        let pose = this.viewer.skinModel.getPose();
+        if (options.parts) pose = pickPose(pose, options.parts);
+
+        await this.storage.set(name, pose);
+        this._notify();
+        return pose;
+    }
+
+    /**
+     * Lists saved poses followed by the built-in presets.
+     * @returns {Promise<Array<{name: string, pose: Object, preset: boolean}>>}
+     */
+    async listPoses() {
+        const saved = await this.storage.list();
+        return [
+            ...saved.map(entry => ({ ...entry, preset: false })),
+            ...Object.entries(this.presets).map(([name, pose]) => ({ name, pose, preset: true }))
+        ];
+    }
+
+    /**
+     * Returns a saved pose, or a preset if no pose with that name was saved.
+     * @param {string} name
+     * @returns {Promise<Object|null>}
+     */
+    async getPose(name) {
+        return (await this.storage.get(name)) ?? this.presets[name] ?? null;
+    }
+
+    /**
+     * Deletes a saved pose. Presets can't be deleted.
+     * @param {string} name
+     */
+    async deletePose(name) {
+        await this.storage.delete(name);
+        this._notify();
+    }
+
+    /**
+     * Applies a saved pose, a preset, or a pose object.
+     * Without parts the whole pose is applied (like SkinViewer.setPose); with parts, only those are
+     * changed and the rest of the model keeps its current pose.
+     * @param {string|Object} nameOrPose
+     * @param {Object} [options]
+     * @param {Array<string>} [options.parts] - Part names or groups ('arms', 'legs', 'wings', 'upperBody', 'root').
+     * @param {boolean} [options.mirror=false] - Apply the left/right mirrored pose.
+     * @returns {Promise<Object>} The applied pose.
+     */
+    async applyPose(nameOrPose, options = {}) {
+        let pose = typeof nameOrPose === 'string' ? await this.getPose(nameOrPose) : nameOrPose;
+        if (!pose) throw new Error(`Unknown pose "${nameOrPose}"`);
+
+        if (options.mirror) pose = mirrorPose(pose);
+
+        this._apply(pose, options.parts ? expandParts(options.parts) : null);
+        this.viewer.emit('pose:applied', { name: typeof nameOrPose === 'string' ? nameOrPose : null, pose });
+        return pose;
+    }
+
+    /**
+     * Mirrors the current pose of the model.
+     * @param {Object} [options]
+     * @param {Array<string>} [options.parts] - Source parts to mirror, e.g. ['rightArm'] copies the right arm
+     *        onto the left one. Other parts are left untouched.
+     */
+    mirrorCurrentPose(options = {}) {
+        let pose = this.viewer.skinModel.getPose();
+        if (options.parts) pose = pickPose(pose, options.parts);
+
+        const mirrored = mirrorPose(pose);
+        this._apply(mirrored, options.parts ? Object.keys(mirrored) : null);
+        this.viewer.emit('pose:applied', { name: null, pose: mirrored });
+    }
+
+    _apply(pose, parts) {
+        const editor = this.viewer.getPlugin('EditorPlugin');
+        if (editor) editor.saveHistory();
+
+        if (parts) {
+            this.viewer.skinModel.applyPartialPose(pose, parts);
+        } else {
+            this.viewer.skinModel.setPose(pose);
+        }
+
+        this.viewer.requestRender();
+    }
+
+    _notify() {
+        this.listPoses().then(poses => this.viewer.emit('poses:change', poses));
+    }
+}
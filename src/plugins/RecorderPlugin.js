@@ -0,0 +1,434 @@
+import * as THREE from 'three';
+import { GifEncoder } from '../utils/GifEncoder.js';
+import { ApngEncoder } from '../utils/ApngEncoder.js';
+
+const MIME_TYPES = { gif: 'image/gif', apng: 'image/apng', webm: 'video/webm' };
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/** Default render set: 8 directions, for game sprites. */
+const DIRECTIONS = [0, 45, 90, 135, 180, 225, 270, 315];
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const toBlob = (canvas) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to encode PNG'))), 'image/png');
+});
+
+/**
+ * Plugin responsible for animated exports: a turntable of the scene, or the AnimationPlugin timeline,
+ * rendered frame by frame at a fixed size and encoded to GIF or APNG (in JS), or WebM (MediaRecorder).
+ * Also renders still sets from several angles or camera views, as separate PNGs or one sprite sheet.
+ * Frames are rendered through the EffectsPlugin (required), like screenshots, so bloom and glow are included.
+ * Events: 'record:start', 'record:progress' ({frame, total, progress}), 'record:end' ({blob, cancelled}).
+ */
+export class RecorderPlugin {
+    constructor() {
+        this.name = 'RecorderPlugin';
+        /** @type {AbortController|null} Controller of the running recording. */
+        this.recording = null;
+    }
+
+    init(viewer) {
+        this.viewer = viewer;
+    }
+
+    /**
+     * @param {'gif'|'apng'|'webm'} format
+     * @returns {boolean} Whether the format can be recorded here (WebM needs MediaRecorder and canvas streams).
+     */
+    static isFormatSupported(format) {
+        if (format === 'gif' || format === 'apng') return true;
+        if (format !== 'webm') return false;
+
+        return typeof MediaRecorder !== 'undefined'
+            && typeof HTMLCanvasElement !== 'undefined'
+            && typeof HTMLCanvasElement.prototype.captureStream === 'function'
+            && WEBM_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+    }
+
+    /**
+     * Renders and encodes an animation. The scene is back to how it was once the promise settles.
+     * @param {Object} [options]
+     * @param {'gif'|'apng'|'webm'} [options.format='gif'] - GIF has 1-bit transparency; APNG keeps full alpha.
+     * @param {'turntable'|'timeline'} [options.source='turntable'] - Spin the scene, or play the AnimationPlugin timeline.
+     * @param {number} [options.width=256]
+     * @param {number} [options.height=256]
+     * @param {number} [options.fps=20]
+     * @param {number} [options.frames] - Frame count (default: 36 for a turntable, the timeline duration for a timeline).
+     * @param {number} [options.turns] - Full turns over the clip (default: 1 for a turntable, 0 for a timeline).
+     * @param {boolean} [options.transparent=true] - false keeps the scene background.
+     * @param {number} [options.loop=0] - Repeats for GIF/APNG, 0 = forever.
+     * @param {AbortSignal} [options.signal] - Cancels the recording (cancel() does too).
+     * @param {Function} [options.onProgress] - Called with {frame, total, progress} after each frame.
+     * @returns {Promise<Blob>} Rejects with an AbortError when cancelled.
+     */
+    async record(options = {}) {
+        if (this.recording) throw new Error('A recording is already running');
+
+        const fx = this.viewer.getPlugin('EffectsPlugin');
+        if (!fx) throw new Error('RecorderPlugin requires the EffectsPlugin');
+
+        const format = options.format ?? 'gif';
+        if (!MIME_TYPES[format]) throw new Error(`Unknown recording format "${format}"`);
+        if (!RecorderPlugin.isFormatSupported(format)) throw new Error(`Recording ${format} is not supported in this browser`);
+
+        const source = options.source ?? 'turntable';
+        const anim = this.viewer.getPlugin('AnimationPlugin');
+        if (source === 'timeline' && (!anim || anim.keyframes.length === 0)) {
+            throw new Error('Timeline recording needs an AnimationPlugin with keyframes');
+        }
+
+        const width = options.width ?? 256;
+        const height = options.height ?? 256;
+        const fps = options.fps ?? 20;
+        const delay = 1000 / fps;
+        const total = options.frames ?? (source === 'timeline' ? Math.max(1, Math.round(anim.duration * fps)) : 36);
+        const turns = options.turns ?? (source === 'turntable' ? 1 : 0);
+        const transparent = options.transparent ?? true;
+
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            options.signal.addEventListener('abort', onAbort);
+        }
+        this.recording = controller;
+
+        const restorePoses = this._savePoses();
+        const resumeTimeline = this._pauseTimeline(anim);
+
+        this.viewer.emit('record:start', { format, total });
+
+        let encoder = null;
+        let blob = null;
+        try {
+            // MediaRecorder may still reject the WebM type here
+            encoder = this._createEncoder(format, width, height, { fps, loop: options.loop ?? 0, transparent });
+
+            for (let frame = 0; frame < total; frame++) {
+                if (controller.signal.aborted) throw new DOMException('Recording cancelled', 'AbortError');
+
+                // Set up, render and put back in one task, so the live view never shows a recording frame
+                if (source === 'timeline') anim.applyAt(frame / fps);
+                const canvas = this._renderFrame(fx, width, height, transparent, (turns * Math.PI * 2 * frame) / total);
+                if (source === 'timeline') restorePoses();
+
+                await encoder.addFrame(canvas, delay);
+
+                const progress = { frame: frame + 1, total, progress: (frame + 1) / total };
+                this.viewer.emit('record:progress', progress);
+                if (options.onProgress) options.onProgress(progress);
+
+                await nextTask();
+            }
+
+            if (controller.signal.aborted) throw new DOMException('Recording cancelled', 'AbortError');
+            blob = await encoder.finish();
+            return blob;
+        } catch (error) {
+            if (encoder) encoder.cancel();
+            throw error;
+        } finally {
+            restorePoses();
+            resumeTimeline();
+            if (options.signal) options.signal.removeEventListener('abort', onAbort);
+            this.recording = null;
+            this.viewer.requestRender();
+            this.viewer.emit('record:end', { blob, cancelled: controller.signal.aborted });
+        }
+    }
+
+    /**
+     * Cancels the running recording; record() rejects with an AbortError.
+     */
+    cancel() {
+        if (this.recording) this.recording.abort();
+    }
+
+    /** @returns {boolean} */
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    // --- RENDER SETS ---
+
+    /**
+     * Renders the scene from several angles or camera views and packs them into one sprite sheet,
+     * with an atlas in the common JSON hash format (TexturePacker, Phaser, PixiJS).
+     * @param {Object} [options] - Options of renderViews(), plus:
+     * @param {number} [options.columns] - Cells per row (default: all in one row).
+     * @param {number} [options.padding=0] - Pixels between cells.
+     * @param {string} [options.imageName='spritesheet.png'] - File name written into the atlas.
+     * @returns {Promise<{image: Blob, atlas: Object}>}
+     */
+    async renderSpriteSheet(options = {}) {
+        const width = options.width ?? 128;
+        const height = options.height ?? 128;
+        const padding = options.padding ?? 0;
+        const cells = this._captureViews(options);
+
+        const columns = Math.max(1, Math.min(options.columns ?? cells.length, cells.length));
+        const rows = Math.ceil(cells.length / columns);
+
+        const sheet = document.createElement('canvas');
+        sheet.width = columns * width + (columns - 1) * padding;
+        sheet.height = rows * height + (rows - 1) * padding;
+        const ctx = sheet.getContext('2d');
+
+        const frames = {};
+        cells.forEach(({ name, angle, canvas }, i) => {
+            const x = (i % columns) * (width + padding);
+            const y = Math.floor(i / columns) * (height + padding);
+            ctx.drawImage(canvas, x, y);
+
+            frames[name] = {
+                frame: { x, y, w: width, h: height },
+                rotated: false,
+                trimmed: false,
+                spriteSourceSize: { x: 0, y: 0, w: width, h: height },
+                sourceSize: { w: width, h: height },
+                angle
+            };
+        });
+
+        return {
+            image: await toBlob(sheet),
+            atlas: {
+                frames,
+                meta: {
+                    image: options.imageName ?? 'spritesheet.png',
+                    format: 'RGBA8888',
+                    size: { w: sheet.width, h: sheet.height },
+                    scale: 1
+                }
+            }
+        };
+    }
+
+    /**
+     * Renders the scene from several angles or camera views, one PNG each.
+     * All views are rendered within one call and the camera and scene are put back before the page repaints,
+     * so the live view doesn't flicker.
+     * @param {Object} [options]
+     * @param {Array<number|string|Object>} [options.views] - Each entry is an angle in degrees (the scene is turned
+     *        counter-clockwise seen from above, as in turntables), a camera view name (see CameraManager.setView())
+     *        or {name, angle, view} with view a name or getSettingsJSON() settings.
+     *        Default: 8 directions, every 45°.
+     * @param {string|Object} [options.view] - Camera view for entries without one (default: the current camera).
+     * @param {number} [options.width=128] - Size of each image.
+     * @param {number} [options.height=128]
+     * @param {boolean} [options.transparent=true]
+     * @returns {Promise<Array<{name: string, angle: number, blob: Blob}>>} In the order of views.
+     */
+    async renderViews(options = {}) {
+        const cells = this._captureViews(options);
+        return Promise.all(cells.map(async ({ name, angle, canvas }) => ({ name, angle, blob: await toBlob(canvas) })));
+    }
+
+    /**
+     * Renders every view into its own canvas, synchronously.
+     * @returns {Array<{name: string, angle: number, canvas: HTMLCanvasElement}>}
+     */
+    _captureViews(options) {
+        const fx = this.viewer.getPlugin('EffectsPlugin');
+        if (!fx) throw new Error('RecorderPlugin requires the EffectsPlugin');
+
+        const cameraManager = this.viewer.cameraManager;
+        const width = options.width ?? 128;
+        const height = options.height ?? 128;
+        const transparent = options.transparent ?? true;
+        const entries = (options.views ?? DIRECTIONS).map(entry => this._resolveViewEntry(entry, options.view));
+
+        const camera = {
+            projection: cameraManager.projection,
+            position: cameraManager.camera.position.clone(),
+            target: cameraManager.controls.target.clone(),
+            fov: cameraManager.perspectiveCamera.fov,
+            height: cameraManager.getViewHeight()
+        };
+
+        try {
+            return entries.map(({ name, angle, view }) => {
+                // Views without a projection keep the one the user had, not the previous entry's
+                cameraManager.transitionTo(view ? { projection: camera.projection, ...view } : camera, 0);
+                const canvas = this._renderFrame(fx, width, height, transparent, THREE.MathUtils.degToRad(angle));
+                return { name, angle, canvas };
+            });
+        } finally {
+            cameraManager.transitionTo(camera, 0);
+            this.viewer.requestRender();
+        }
+    }
+
+    /**
+     * Normalizes a views entry to {name, angle, view}, view being settings or null (current camera).
+     */
+    _resolveViewEntry(entry, defaultView) {
+        const views = this.viewer.cameraManager.views;
+        const resolve = (view) => {
+            if (view === undefined || view === null) return null;
+            if (typeof view !== 'string') return view;
+            if (!views[view]) throw new Error(`Unknown camera view "${view}"`);
+            return views[view];
+        };
+
+        if (typeof entry === 'number') {
+            return { name: `angle-${entry}`, angle: entry, view: resolve(defaultView) };
+        }
+        if (typeof entry === 'string') {
+            return { name: entry, angle: 0, view: resolve(entry) };
+        }
+
+        const angle = entry.angle ?? 0;
+        const name = entry.name ?? (typeof entry.view === 'string' ? entry.view : `angle-${angle}`);
+        return { name, angle, view: resolve(entry.view ?? defaultView) };
+    }
+
+    /**
+     * Renders one frame with the scene turned by an angle (radians) around the vertical axis through the camera target.
+     */
+    _renderFrame(fx, width, height, transparent, angle) {
+        const restore = this._turnScene(angle);
+        try {
+            return fx.captureCanvas(width, height, { transparent });
+        } finally {
+            restore();
+        }
+    }
+
+    /**
+     * Turns characters and loose items (not the camera) around the vertical axis through the camera target,
+     * so the lighting stays the same all the way round.
+     * @param {number} angle - Radians, counter-clockwise seen from above.
+     * @returns {Function} Puts everything back.
+     */
+    _turnScene(angle) {
+        const roots = [
+            ...this.viewer.characters.map(c => c.group),
+            ...this._looseItems()
+        ];
+        const saved = roots.map(obj => ({ obj, position: obj.position.clone(), quaternion: obj.quaternion.clone() }));
+
+        if (angle !== 0) {
+            const center = this.viewer.cameraManager.controls.target;
+            const turn = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+            roots.forEach(obj => {
+                obj.position.sub(center).applyQuaternion(turn).add(center);
+                obj.quaternion.premultiply(turn);
+            });
+        }
+
+        return () => {
+            saved.forEach(({ obj, position, quaternion }) => {
+                obj.position.copy(position);
+                obj.quaternion.copy(quaternion);
+            });
+        };
+    }
+
+    _looseItems() {
+        const itemsPlugin = this.viewer.getPlugin('ItemsPlugin');
+        return itemsPlugin ? itemsPlugin.items.filter(item => item.parent === this.viewer.scene) : [];
+    }
+
+    /**
+     * Remembers the poses and item placements the timeline changes.
+     * @returns {Function} Restores them (can be called after every frame).
+     */
+    _savePoses() {
+        const poses = this.viewer.characters.map(c => ({ model: c.skinModel, pose: c.skinModel.getPose() }));
+        const itemsPlugin = this.viewer.getPlugin('ItemsPlugin');
+        const items = itemsPlugin ? itemsPlugin.getSnapshot() : null;
+
+        return () => {
+            poses.forEach(({ model, pose }) => model.setPose(pose));
+            if (items) itemsPlugin.restoreSnapshot(items);
+        };
+    }
+
+    /**
+     * Pauses the timeline, so it doesn't move on between recorded frames.
+     * @returns {Function} Puts the playhead back and resumes playback.
+     */
+    _pauseTimeline(anim) {
+        if (!anim) return () => {};
+
+        const wasPlaying = anim.isPlaying;
+        const time = anim.currentTime;
+        anim.isPlaying = false;
+
+        return () => {
+            anim.currentTime = time;
+            anim.isPlaying = wasPlaying;
+        };
+    }
+
+    /**
+     * Wraps the encoders in one interface: addFrame(canvas, delay), finish() -> Blob, cancel().
+     */
+    _createEncoder(format, width, height, options) {
+        if (format === 'webm') return this._createWebMEncoder(width, height, options);
+
+        const encoder = format === 'gif'
+            ? new GifEncoder(width, height, { loop: options.loop })
+            : new ApngEncoder(width, height, { loop: options.loop });
+
+        return {
+            addFrame: (canvas, delay) => {
+                const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+                return encoder.addFrame(pixels, delay);
+            },
+            finish: async () => new Blob([encoder.finish()], { type: MIME_TYPES[format] }),
+            cancel: () => {}
+        };
+    }
+
+    /**
+     * WebM goes through MediaRecorder, which timestamps frames as they arrive:
+     * frames are pushed at the playback rate, so recording takes as long as the clip.
+     */
+    _createWebMEncoder(width, height, options) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, { mimeType });
+
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+        recorder.start();
+
+        return {
+            addFrame: async (frame, delay) => {
+                ctx.clearRect(0, 0, width, height);
+                if (!options.transparent) ctx.fillRect(0, 0, width, height);
+                ctx.drawImage(frame, 0, 0);
+                track.requestFrame();
+                await wait(delay);
+            },
+            finish: async () => {
+                recorder.stop();
+                await stopped;
+                track.stop();
+                return new Blob(chunks, { type: MIME_TYPES.webm });
+            },
+            cancel: () => {
+                if (recorder.state !== 'inactive') recorder.stop();
+                track.stop();
+            }
+        };
+    }
+
+    dispose() {
+        this.cancel();
+    }
+}
@@ -0,0 +1,236 @@
+import * as THREE from 'three';
+
+/**
+ * Default key bindings (combo -> action).
+ * Combos are lowercase keys (KeyboardEvent.key) with optional 'ctrl', 'alt' and 'shift' modifiers;
+ * 'ctrl' also matches Cmd on macOS.
+ */
+export const DEFAULT_KEYMAP = {
+    'ctrl+z': 'undo',
+    'ctrl+shift+z': 'redo',
+    'ctrl+y': 'redo',
+    'g': 'translate',
+    'r': 'rotate',
+    's': 'scale',
+    'delete': 'delete',
+    'backspace': 'delete',
+    'escape': 'deselect',
+    'f': 'frame',
+    'x': 'axisX',
+    'y': 'axisY',
+    'z': 'axisZ'
+};
+
+const MODIFIERS = ['ctrl', 'alt', 'shift'];
+
+const KEY_ALIASES = { ' ': 'space', 'esc': 'escape', 'del': 'delete', 'cmd': 'ctrl', 'meta': 'ctrl', 'control': 'ctrl' };
+
+/**
+ * Normalizes a combo string ('Shift+Ctrl+Z' -> 'ctrl+shift+z').
+ * @param {string} combo
+ * @returns {string}
+ */
+function normalizeCombo(combo) {
+    const parts = combo.toLowerCase().split('+').map(p => KEY_ALIASES[p.trim()] ?? p.trim());
+    const key = parts.filter(p => !MODIFIERS.includes(p)).pop() ?? '';
+    return [...MODIFIERS.filter(m => parts.includes(m)), key].join('+');
+}
+
+/**
+ * Plugin responsible for keyboard shortcuts of the editor.
+ * Keys are only handled while the viewer canvas has focus (it's focused when clicked), so several viewers on a page
+ * don't react to the same keystroke, and typing in text fields never triggers a shortcut.
+ */
+export class ShortcutsPlugin {
+    /**
+     * @param {Object} [options]
+     * @param {Object<string, string>} [options.keymap] - Bindings merged over DEFAULT_KEYMAP. Map a combo to null to remove it.
+     */
+    constructor(options = {}) {
+        this.name = 'ShortcutsPlugin';
+
+        this.enabled = true;
+        /** @type {Object<string, string>} Normalized combo -> action name. */
+        this.keymap = {};
+        // Combos are normalized before merging, so 'Ctrl+Z': null removes the default 'ctrl+z'
+        const keymap = Object.entries(options.keymap ?? {}).map(([combo, action]) => [normalizeCombo(combo), action]);
+        this.setKeymap({ ...DEFAULT_KEYMAP, ...Object.fromEntries(keymap) });
+
+        /** @type {Object<string, Function>} Action name -> handler. */
+        this.actions = {
+            undo: () => this._editor()?.undo(),
+            redo: () => this._editor()?.redo(),
+            translate: () => this._editor()?.setTransformMode('translate'),
+            rotate: () => this._editor()?.setTransformMode('rotate'),
+            scale: () => this._editor()?.setTransformMode('scale'),
+            delete: () => this.deleteSelection(),
+            deselect: () => this._editor()?.deselect(),
+            frame: () => this.frameSelection(),
+            axisX: () => this.toggleAxis('x'),
+            axisY: () => this.toggleAxis('y'),
+            axisZ: () => this.toggleAxis('z')
+        };
+    }
+
+    init(viewer) {
+        this.viewer = viewer;
+
+        const canvas = viewer.renderer.domElement;
+        // Focusable canvas: keyboard events then only reach the viewer the user is working in
+        if (canvas.tabIndex < 0) canvas.tabIndex = 0;
+        canvas.style.outline = 'none';
+
+        this.onPointerDown = () => canvas.focus({ preventScroll: true });
+        this.onKeyDown = (e) => this.handleKeyDown(e);
+
+        canvas.addEventListener('pointerdown', this.onPointerDown);
+        canvas.addEventListener('keydown', this.onKeyDown);
+    }
+
+    // --- KEYMAP ---
+
+    /**
+     * Replaces the whole keymap.
+     * @param {Object<string, string|null>} keymap - combo -> action name.
+     */
+    setKeymap(keymap) {
+        this.keymap = {};
+        Object.entries(keymap).forEach(([combo, action]) => {
+            if (action) this.keymap[normalizeCombo(combo)] = action;
+        });
+    }
+
+    /**
+     * @returns {Object<string, string>} A copy of the current bindings.
+     */
+    getKeymap() {
+        return { ...this.keymap };
+    }
+
+    /**
+     * Binds a key combo to an action, replacing its previous binding.
+     * @param {string} combo - e.g. 'ctrl+shift+z', 'delete', 't'.
+     * @param {string} action - Built-in action or one added with registerAction().
+     */
+    bind(combo, action) {
+        this.keymap[normalizeCombo(combo)] = action;
+    }
+
+    /**
+     * @param {string} combo
+     */
+    unbind(combo) {
+        delete this.keymap[normalizeCombo(combo)];
+    }
+
+    /**
+     * Adds (or overrides) an action that can be bound to keys.
+     * @param {string} name
+     * @param {Function} handler - Receives the KeyboardEvent.
+     */
+    registerAction(name, handler) {
+        this.actions[name] = handler;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    // --- HANDLING ---
+
+    handleKeyDown(event) {
+        if (!this.enabled || this._isTextInput(event.target)) return;
+
+        const action = this.keymap[this._eventCombo(event)];
+        const handler = action && this.actions[action];
+        if (!handler) return;
+
+        // Keeps the browser from handling Ctrl+Z, Backspace navigation etc.
+        event.preventDefault();
+        event.stopPropagation();
+
+        handler(event);
+        this.viewer.requestRender();
+        this.viewer.emit('shortcut', { action, event });
+    }
+
+    _eventCombo(event) {
+        const key = event.key.toLowerCase();
+        const parts = [];
+        if (event.ctrlKey || event.metaKey) parts.push('ctrl');
+        if (event.altKey) parts.push('alt');
+        if (event.shiftKey) parts.push('shift');
+        parts.push(KEY_ALIASES[key] ?? key);
+        return parts.join('+');
+    }
+
+    _isTextInput(target) {
+        if (!target || !target.tagName) return false;
+        const tag = target.tagName.toLowerCase();
+        return tag === 'input' || tag === 'textarea' || tag === 'select' || target.isContentEditable;
+    }
+
+    _editor() {
+        return this.viewer.getPlugin('EditorPlugin');
+    }
+
+    // --- ACTIONS ---
+
+    /**
+     * Removes the selected items, as one undo step (body parts can't be deleted).
+     */
+    deleteSelection() {
+        const editor = this._editor();
+        const itemsPlugin = this.viewer.getPlugin('ItemsPlugin');
+        if (!editor || !itemsPlugin) return;
+
+        const selected = editor.getSelection().filter(obj => itemsPlugin.items.includes(obj));
+        if (selected.length === 0) return;
+
+        editor.transaction(() => selected.forEach(item => itemsPlugin.removeItem(item)));
+    }
+
+    /**
+     * Points the camera at the selection, or at all characters when nothing is selected.
+     */
+    frameSelection() {
+        const editor = this._editor();
+        const selected = editor ? editor.getSelection() : [];
+
+        const box = new THREE.Box3();
+        if (selected.length > 0) {
+            selected.forEach(obj => box.expandByObject(obj));
+        } else {
+            this.viewer.characters.forEach(character => box.expandByObject(character.group));
+        }
+        if (box.isEmpty()) return;
+
+        if (editor) editor.saveHistory();
+        this.viewer.cameraManager.frameBox(box);
+    }
+
+    /**
+     * Constrains the gizmo to one axis. Pressing the same axis again shows all axes.
+     * @param {'x'|'y'|'z'} axis
+     */
+    toggleAxis(axis) {
+        const control = this._editor()?.transformControl;
+        if (!control) return;
+
+        const prop = (a) => `show${a.toUpperCase()}`;
+        const shown = ['x', 'y', 'z'].filter(a => control[prop(a)]);
+        const reset = shown.length === 1 && shown[0] === axis;
+
+        ['x', 'y', 'z'].forEach(a => {
+            control[prop(a)] = reset || a === axis;
+        });
+    }
+
+    dispose() {
+        const canvas = this.viewer.renderer?.domElement;
+        if (canvas) {
+            canvas.removeEventListener('pointerdown', this.onPointerDown);
+            canvas.removeEventListener('keydown', this.onKeyDown);
+        }
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * Animated PNG (APNG) encoder in plain JS. Full 8-bit alpha, so glow and anti-aliased edges survive.
+ * Compression uses the platform CompressionStream when available and falls back to stored (uncompressed)
+ * deflate blocks, which are valid but larger.
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes, crc = 0xffffffff) {
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return crc;
+}
+
+function adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * zlib stream made of stored blocks.
+ */
+function storeZlib(data) {
+    const blockCount = Math.max(1, Math.ceil(data.length / 65535));
+    const out = new Uint8Array(2 + data.length + blockCount * 5 + 4);
+    const view = new DataView(out.buffer);
+    out[0] = 0x78;
+    out[1] = 0x01;
+
+    let offset = 2;
+    for (let i = 0; i < blockCount; i++) {
+        const start = i * 65535;
+        const length = Math.min(65535, data.length - start);
+        out[offset] = i === blockCount - 1 ? 1 : 0;
+        view.setUint16(offset + 1, length, true);
+        view.setUint16(offset + 3, ~length & 0xffff, true);
+        out.set(data.subarray(start, start + length), offset + 5);
+        offset += 5 + length;
+    }
+
+    view.setUint32(offset, adler32(data));
+    return out;
+}
+
+async function deflate(data) {
+    if (typeof CompressionStream === 'undefined') return storeZlib(data);
+
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export class ApngEncoder {
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} [options]
+     * @param {number} [options.loop=0] - Number of plays, 0 = forever.
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.loop = options.loop ?? 0;
+        /** @type {Array<{data: Uint8Array, delay: number}>} Compressed frames. */
+        this.frames = [];
+    }
+
+    /**
+     * Adds a frame.
+     * @param {Uint8ClampedArray|Uint8Array} rgba - width * height RGBA pixels.
+     * @param {number} delay - Display time in ms.
+     * @returns {Promise<void>}
+     */
+    async addFrame(rgba, delay) {
+        // Each scanline gets the Sub filter (difference to the pixel on the left), which suits renders well
+        const stride = this.width * 4;
+        const filtered = new Uint8Array((stride + 1) * this.height);
+        for (let y = 0; y < this.height; y++) {
+            const row = y * stride;
+            const out = y * (stride + 1);
+            filtered[out] = 1;
+            for (let x = 0; x < stride; x++) {
+                filtered[out + 1 + x] = rgba[row + x] - (x >= 4 ? rgba[row + x - 4] : 0);
+            }
+        }
+
+        this.frames.push({ data: await deflate(filtered), delay });
+    }
+
+    /**
+     * @returns {Uint8Array} The APNG file.
+     */
+    finish() {
+        const chunks = [new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])];
+
+        const ihdr = new DataView(new ArrayBuffer(13));
+        ihdr.setUint32(0, this.width);
+        ihdr.setUint32(4, this.height);
+        ihdr.setUint8(8, 8); // Bit depth
+        ihdr.setUint8(9, 6); // RGBA
+        chunks.push(this._chunk('IHDR', new Uint8Array(ihdr.buffer)));
+
+        const actl = new DataView(new ArrayBuffer(8));
+        actl.setUint32(0, this.frames.length);
+        actl.setUint32(4, this.loop);
+        chunks.push(this._chunk('acTL', new Uint8Array(actl.buffer)));
+
+        let sequence = 0;
+        this.frames.forEach(({ data, delay }, i) => {
+            const fctl = new DataView(new ArrayBuffer(26));
+            fctl.setUint32(0, sequence++);
+            fctl.setUint32(4, this.width);
+            fctl.setUint32(8, this.height);
+            fctl.setUint16(20, Math.round(delay));
+            fctl.setUint16(22, 1000);
+            // Dispose none, blend source: every frame replaces the whole canvas
+            chunks.push(this._chunk('fcTL', new Uint8Array(fctl.buffer)));
+
+            if (i === 0) {
+                chunks.push(this._chunk('IDAT', data));
+            } else {
+                const fdat = new Uint8Array(4 + data.length);
+                new DataView(fdat.buffer).setUint32(0, sequence++);
+                fdat.set(data, 4);
+                chunks.push(this._chunk('fdAT', fdat));
+            }
+        });
+
+        chunks.push(this._chunk('IEND', new Uint8Array(0)));
+
+        const file = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        chunks.forEach(chunk => {
+            file.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return file;
+    }
+
+    _chunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, (crc32(chunk.subarray(4, 8 + data.length)) ^ 0xffffffff) >>> 0);
+        return chunk;
+    }
+}
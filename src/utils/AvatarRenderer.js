@@ -0,0 +1,304 @@
+import { getSkinParts, getBoxFaces } from './SkinLayout.js';
+import { detectSkinLayout, detectSlimSkinPixels } from './SkinUtils.js';
+
+/**
+ * Avatar renderer on plain Canvas 2D, for places without WebGL: servers (node-canvas), workers (OffscreenCanvas).
+ * Faces are rasterized straight from the skin pixels with a depth buffer, using the same texture layout as
+ * SkinModel. The outer layer is drawn as a shell around each part, with the 3D model's alpha test (alpha >= 128).
+ */
+
+/** Parts drawn per avatar type, and the height below which the model is cut off (busts). */
+const AVATAR_TYPES = {
+    head: { parts: ['head'], clipY: -Infinity },
+    bust: { parts: ['head', 'body', 'rightArm', 'leftArm'], clipY: -8 },
+    body: { parts: ['head', 'body', 'rightArm', 'leftArm', 'rightLeg', 'leftLeg'], clipY: -Infinity }
+};
+
+/** Distance of the outer layer from the inner box: hat 0.5, other layers 0.25 (as in Minecraft). */
+const OVERLAY_INFLATE = { head: 0.5 };
+const DEFAULT_INFLATE = 0.25;
+
+/** Brightness per face, so the sides of the boxes stay apart in flat colors. */
+const FACE_SHADE = { top: 1, front: 0.86, left: 0.72, right: 0.72, back: 0.6, bottom: 0.5 };
+
+// Isometric view from the front left (+X +Z), like the 'isometric' camera view
+const ISO_RIGHT = [Math.SQRT1_2, 0, -Math.SQRT1_2];
+const ISO_UP = [-1 / Math.sqrt(6), 2 / Math.sqrt(6), -1 / Math.sqrt(6)];
+const ISO_FORWARD = [1 / Math.sqrt(3), 1 / Math.sqrt(3), 1 / Math.sqrt(3)];
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+/**
+ * Faces of a box centered on the origin: corner of texel (0, 0), direction of texture columns and rows,
+ * and outward normal. Matches the orientation SkinModel's box UVs give.
+ */
+function boxFaces(w, h, d) {
+    return {
+        front: { origin: [-w / 2, h / 2, d / 2], u: [w, 0, 0], v: [0, -h, 0], normal: [0, 0, 1] },
+        back: { origin: [w / 2, h / 2, -d / 2], u: [-w, 0, 0], v: [0, -h, 0], normal: [0, 0, -1] },
+        left: { origin: [w / 2, h / 2, d / 2], u: [0, 0, -d], v: [0, -h, 0], normal: [1, 0, 0] },
+        right: { origin: [-w / 2, h / 2, -d / 2], u: [0, 0, d], v: [0, -h, 0], normal: [-1, 0, 0] },
+        top: { origin: [-w / 2, h / 2, -d / 2], u: [w, 0, 0], v: [0, 0, d], normal: [0, 1, 0] },
+        bottom: { origin: [-w / 2, -h / 2, -d / 2], u: [w, 0, 0], v: [0, 0, d], normal: [0, -1, 0] }
+    };
+}
+
+function defaultCreateCanvas(width, height) {
+    if (typeof document !== 'undefined') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    throw new Error('No canvas available: pass options.createCanvas (e.g. createCanvas from node-canvas)');
+}
+
+/**
+ * Reads the skin pixels from an image, a canvas or ImageData.
+ */
+function readSkin(skin, createCanvas) {
+    if (skin.data && skin.width && skin.height) return skin;
+
+    const canvas = createCanvas(skin.width, skin.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(skin, 0, 0);
+    return ctx.getImageData(0, 0, skin.width, skin.height);
+}
+
+/**
+ * Texel lookup of one face region.
+ * @returns {Function} (col, row) in face texels -> index into the pixel data.
+ */
+function texelLookup(skin, rect, scale) {
+    const x0 = Math.floor(rect.x * scale);
+    const y0 = Math.floor(rect.y * scale);
+    const w = Math.round(rect.w * scale);
+    const h = Math.round(rect.h * scale);
+    return (col, row) => {
+        const x = x0 + (rect.flipX ? w - 1 - col : col);
+        const y = y0 + (rect.flipY ? h - 1 - row : row);
+        return (y * skin.width + x) * 4;
+    };
+}
+
+/**
+ * Renders an avatar from a skin, without WebGL.
+ * @param {CanvasImageSource|ImageData} skin - Skin image (HTMLImageElement, ImageBitmap, canvas, node-canvas Image)
+ *        or its pixels. Classic, slim, legacy 64x32 and HD skins are supported.
+ * @param {Object} [options]
+ * @param {'face'|'head'|'bust'|'body'} [options.type='head'] - Flat face, or an isometric head, bust or full body.
+ * @param {number} [options.scale=8] - Output pixels per skin pixel.
+ * @param {boolean} [options.overlay=true] - Draw the second layer (hat, jacket, sleeves, pants).
+ * @param {boolean|'auto'} [options.slim='auto'] - Slim (Alex) arms; 'auto' detects them from the skin.
+ * @param {boolean} [options.shading=true] - Darken the sides of the isometric boxes.
+ * @param {number} [options.supersample=2] - Samples per pixel side on isometric edges (1 = pixel-hard edges).
+ * @param {Function} [options.createCanvas] - (width, height) => canvas. Defaults to a DOM canvas or an OffscreenCanvas;
+ *        pass createCanvas from node-canvas on servers.
+ * @returns {HTMLCanvasElement|OffscreenCanvas|Object} Canvas from createCanvas, sized to the avatar.
+ */
+export function renderAvatar(skin, options = {}) {
+    const type = options.type ?? 'head';
+    if (type !== 'face' && !AVATAR_TYPES[type]) throw new Error(`Unknown avatar type "${type}"`);
+
+    const createCanvas = options.createCanvas ?? defaultCreateCanvas;
+    const pixels = readSkin(skin, createCanvas);
+    const layout = detectSkinLayout(pixels);
+    const slim = options.slim === undefined || options.slim === 'auto' ? detectSlimSkinPixels(pixels, layout.scale) : options.slim;
+    const parts = getSkinParts(slim, layout.legacy);
+
+    const settings = {
+        scale: options.scale ?? 8,
+        overlay: options.overlay ?? true,
+        shading: options.shading ?? true,
+        supersample: Math.max(1, Math.round(options.supersample ?? 2))
+    };
+
+    const image = type === 'face'
+        ? renderFace(pixels, layout, parts.head, settings)
+        : renderIsometric(pixels, layout, parts, AVATAR_TYPES[type], settings);
+
+    const canvas = createCanvas(image.width, image.height);
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(image.width, image.height);
+    imageData.data.set(image.data);
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+/**
+ * Front of the head, with the hat on top.
+ */
+function renderFace(pixels, layout, head, settings) {
+    const { w, h, d } = head.size;
+    const size = w * settings.scale;
+    const data = new Uint8ClampedArray(size * size * 4);
+    const texels = w * layout.scale;
+
+    const inner = texelLookup(pixels, getBoxFaces(head.uv.inner.x, head.uv.inner.y, w, h, d).front, layout.scale);
+    const outer = texelLookup(pixels, getBoxFaces(head.uv.outer.x, head.uv.outer.y, w, h, d).front, layout.scale);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const col = Math.floor((x / size) * texels);
+            const row = Math.floor((y / size) * texels);
+            let i = inner(col, row);
+            if (settings.overlay) {
+                const o = outer(col, row);
+                if (pixels.data[o + 3] >= 128) i = o;
+            }
+
+            const out = (y * size + x) * 4;
+            data[out] = pixels.data[i];
+            data[out + 1] = pixels.data[i + 1];
+            data[out + 2] = pixels.data[i + 2];
+            data[out + 3] = 255;
+        }
+    }
+
+    return { width: size, height: size, data };
+}
+
+/**
+ * Isometric render of some parts. Every face is rasterized into a supersampled color and depth buffer,
+ * then averaged down.
+ */
+function renderIsometric(pixels, layout, parts, view, settings) {
+    const faces = [];
+    view.parts.forEach(name => {
+        const part = parts[name];
+        const center = part.pivot.map((p, i) => p + part.offset[i]);
+        const { w, h, d } = part.size;
+
+        // Inner boxes are opaque: only the faces turned to the camera can show
+        const inner = getBoxFaces(part.uv.inner.x, part.uv.inner.y, w, h, d, part.uv.mirror);
+        Object.entries(boxFaces(w, h, d)).forEach(([side, geometry]) => {
+            if (dot(geometry.normal, ISO_FORWARD) > 0) faces.push({ side, geometry, rect: inner[side], center, opaque: true });
+        });
+
+        // Outer shells can be seen through, so their far sides are drawn too (legacy skins only have a hat)
+        if (settings.overlay && (!layout.legacy || name === 'head')) {
+            const e = OVERLAY_INFLATE[name] ?? DEFAULT_INFLATE;
+            const outer = getBoxFaces(part.uv.outer.x, part.uv.outer.y, w, h, d, part.uv.mirror);
+            Object.entries(boxFaces(w + e * 2, h + e * 2, d + e * 2)).forEach(([side, geometry]) => {
+                faces.push({ side, geometry, rect: outer[side], center, opaque: false });
+            });
+        }
+    });
+
+    // Bounds of the projected model
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    faces.forEach(({ geometry, center }) => {
+        [[0, 0], [1, 0], [0, 1], [1, 1]].forEach(([a, b]) => {
+            const p = geometry.origin.map((o, i) => center[i] + o + geometry.u[i] * a + geometry.v[i] * b);
+            p[1] = Math.max(p[1], view.clipY);
+            const sx = dot(p, ISO_RIGHT);
+            const sy = dot(p, ISO_UP);
+            minX = Math.min(minX, sx);
+            maxX = Math.max(maxX, sx);
+            minY = Math.min(minY, sy);
+            maxY = Math.max(maxY, sy);
+        });
+    });
+
+    const { scale, supersample } = settings;
+    const width = Math.ceil((maxX - minX) * scale);
+    const height = Math.ceil((maxY - minY) * scale);
+    const step = 1 / (scale * supersample);
+    const sw = width * supersample;
+    const sh = height * supersample;
+
+    const color = new Float32Array(sw * sh * 4);
+    const depth = new Float32Array(sw * sh).fill(-Infinity);
+
+    faces.forEach(face => rasterizeFace(face, pixels, layout, view.clipY, settings.shading, {
+        color, depth, sw, sh, step, minX, maxY
+    }));
+
+    // Average the samples (colors are premultiplied) into straight alpha
+    const data = new Uint8ClampedArray(width * height * 4);
+    const count = supersample * supersample;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let sy = 0; sy < supersample; sy++) {
+                for (let sx = 0; sx < supersample; sx++) {
+                    const i = ((y * supersample + sy) * sw + x * supersample + sx) * 4;
+                    r += color[i];
+                    g += color[i + 1];
+                    b += color[i + 2];
+                    a += color[i + 3];
+                }
+            }
+
+            const out = (y * width + x) * 4;
+            if (a > 0) {
+                data[out] = (r / a) * 255;
+                data[out + 1] = (g / a) * 255;
+                data[out + 2] = (b / a) * 255;
+                data[out + 3] = (a / count) * 255;
+            }
+        }
+    }
+
+    return { width, height, data };
+}
+
+/**
+ * Draws one face into the sample buffers: each sample is mapped back onto the face, and the texel under it
+ * is kept if it passes the alpha and depth tests.
+ */
+function rasterizeFace(face, pixels, layout, clipY, shading, target) {
+    const { geometry, rect, center } = face;
+    const { color, depth, sw, sh, step, minX, maxY } = target;
+
+    const origin = geometry.origin.map((o, i) => center[i] + o);
+    const ox = dot(origin, ISO_RIGHT), oy = dot(origin, ISO_UP);
+    const ux = dot(geometry.u, ISO_RIGHT), uy = dot(geometry.u, ISO_UP);
+    const vx = dot(geometry.v, ISO_RIGHT), vy = dot(geometry.v, ISO_UP);
+    const det = ux * vy - uy * vx;
+    if (Math.abs(det) < 1e-9) return;
+
+    const oz = dot(origin, ISO_FORWARD), uz = dot(geometry.u, ISO_FORWARD), vz = dot(geometry.v, ISO_FORWARD);
+    const texW = Math.round(rect.w * layout.scale);
+    const texH = Math.round(rect.h * layout.scale);
+    const lookup = texelLookup(pixels, rect, layout.scale);
+    const shade = shading ? FACE_SHADE[face.side] : 1;
+
+    // Sample range covered by the face's parallelogram
+    const xs = [ox, ox + ux, ox + vx, ox + ux + vx];
+    const ys = [oy, oy + uy, oy + vy, oy + uy + vy];
+    const x0 = Math.max(0, Math.floor((Math.min(...xs) - minX) / step));
+    const x1 = Math.min(sw - 1, Math.ceil((Math.max(...xs) - minX) / step));
+    const y0 = Math.max(0, Math.floor((maxY - Math.max(...ys)) / step));
+    const y1 = Math.min(sh - 1, Math.ceil((maxY - Math.min(...ys)) / step));
+
+    for (let py = y0; py <= y1; py++) {
+        const sy = maxY - (py + 0.5) * step - oy;
+        for (let px = x0; px <= x1; px++) {
+            const sx = minX + (px + 0.5) * step - ox;
+
+            // Face coordinates (0..1 across the face)
+            const a = (sx * vy - sy * vx) / det;
+            const b = (ux * sy - uy * sx) / det;
+            if (a < 0 || a >= 1 || b < 0 || b >= 1) continue;
+
+            if (origin[1] + geometry.u[1] * a + geometry.v[1] * b < clipY) continue;
+
+            const z = oz + uz * a + vz * b;
+            const s = py * sw + px;
+            if (z <= depth[s]) continue;
+
+            const i = lookup(Math.floor(a * texW), Math.floor(b * texH));
+            const alpha = pixels.data[i + 3];
+            if (!face.opaque && alpha < 128) continue;
+
+            depth[s] = z;
+            const c = s * 4;
+            color[c] = (pixels.data[i] / 255) * shade;
+            color[c + 1] = (pixels.data[i + 1] / 255) * shade;
+            color[c + 2] = (pixels.data[i + 2] / 255) * shade;
+            color[c + 3] = 1;
+        }
+    }
+}
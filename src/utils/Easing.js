@@ -0,0 +1,29 @@
+/**
+ * Standard easing curves. Each function maps normalized time t (0..1) to progress (0..1).
+ */
+export const Easing = {
+    linear: (t) => t,
+    step: (t) => (t < 1 ? 0 : 1),
+
+    easeInQuad: (t) => t * t,
+    easeOutQuad: (t) => t * (2 - t),
+    easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+
+    easeInCubic: (t) => t * t * t,
+    easeOutCubic: (t) => (--t) * t * t + 1,
+    easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1),
+
+    easeInSine: (t) => 1 - Math.cos((t * Math.PI) / 2),
+    easeOutSine: (t) => Math.sin((t * Math.PI) / 2),
+    easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+/**
+ * Resolves an easing definition to a function.
+ * @param {string|Function} [easing='linear'] - Name from {@link Easing} or a custom function.
+ * @returns {Function}
+ */
+export function resolveEasing(easing = 'linear') {
+    if (typeof easing === 'function') return easing;
+    return Easing[easing] || Easing.linear;
+}
@@ -0,0 +1,263 @@
+/**
+ * Animated GIF encoder (GIF89a) in plain JS.
+ * Every frame gets its own palette (median cut over 15-bit colors), so turntables with changing
+ * lighting keep their colors. Pixels with alpha below 128 become transparent.
+ */
+
+const MAX_CODES = 4096;
+
+/**
+ * Packs an RGBA pixel into a 15-bit color (5 bits per channel).
+ */
+const colorKey = (data, i) => ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+
+const expand = (c) => (c << 3) | (c >> 2);
+
+/**
+ * Median cut: splits the used colors into at most maxColors boxes and averages each box.
+ * @param {Uint32Array} histogram - Pixel count per 15-bit color.
+ * @param {number} maxColors
+ * @returns {Array<Array<number>>} [r, g, b] per palette entry.
+ */
+function buildPalette(histogram, maxColors) {
+    const keys = [];
+    for (let key = 0; key < histogram.length; key++) {
+        if (histogram[key] > 0) keys.push(key);
+    }
+
+    const channel = (key, c) => (c === 0 ? key >> 10 : c === 1 ? (key >> 5) & 31 : key & 31);
+
+    const describe = (boxKeys) => {
+        const min = [31, 31, 31];
+        const max = [0, 0, 0];
+        let count = 0;
+        boxKeys.forEach(key => {
+            for (let c = 0; c < 3; c++) {
+                const v = channel(key, c);
+                if (v < min[c]) min[c] = v;
+                if (v > max[c]) max[c] = v;
+            }
+            count += histogram[key];
+        });
+        const ranges = max.map((v, c) => v - min[c]);
+        const widest = ranges.indexOf(Math.max(...ranges));
+        return { keys: boxKeys, count, widest, score: ranges[widest] * count };
+    };
+
+    const boxes = keys.length > 0 ? [describe(keys)] : [];
+
+    while (boxes.length < maxColors) {
+        let index = -1;
+        boxes.forEach((box, i) => {
+            if (box.keys.length > 1 && (index < 0 || box.score > boxes[index].score)) index = i;
+        });
+        if (index < 0) break;
+
+        const box = boxes[index];
+        box.keys.sort((a, b) => channel(a, box.widest) - channel(b, box.widest));
+
+        // Split at the weighted median, keeping at least one color on each side
+        let half = box.count / 2;
+        let split = 1;
+        for (; split < box.keys.length - 1; split++) {
+            half -= histogram[box.keys[split - 1]];
+            if (half <= 0) break;
+        }
+
+        boxes.splice(index, 1, describe(box.keys.slice(0, split)), describe(box.keys.slice(split)));
+    }
+
+    return boxes.map(box => {
+        const sum = [0, 0, 0];
+        box.keys.forEach(key => {
+            for (let c = 0; c < 3; c++) sum[c] += expand(channel(key, c)) * histogram[key];
+        });
+        return sum.map(v => Math.round(v / box.count));
+    });
+}
+
+/**
+ * GIF flavoured LZW, packed LSB-first.
+ * @param {Uint8Array} indices
+ * @param {number} minCodeSize
+ * @returns {Array<number>} Bytes (not split into sub-blocks).
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let buffer = 0;
+    let bits = 0;
+
+    const write = (code) => {
+        buffer |= code << bits;
+        bits += codeSize;
+        while (bits >= 8) {
+            out.push(buffer & 0xff);
+            buffer >>>= 8;
+            bits -= 8;
+        }
+    };
+
+    write(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        write(prefix);
+        if (nextCode === MAX_CODES) {
+            write(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+
+    write(prefix);
+    write(endCode);
+    if (bits > 0) out.push(buffer & 0xff);
+    return out;
+}
+
+export class GifEncoder {
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} [options]
+     * @param {number} [options.loop=0] - Number of repeats, 0 = forever.
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        /** @type {Array<Uint8Array|Array<number>>} Encoded chunks. */
+        this.chunks = [];
+
+        this._bytes(
+            [...'GIF89a'].map(c => c.charCodeAt(0)),
+            this._u16(width), this._u16(height),
+            [0, 0, 0], // No global color table
+            // NETSCAPE2.0 application extension: looping
+            [0x21, 0xff, 0x0b], [...'NETSCAPE2.0'].map(c => c.charCodeAt(0)), [0x03, 0x01], this._u16(options.loop ?? 0), [0x00]
+        );
+    }
+
+    /**
+     * Adds a frame.
+     * @param {Uint8ClampedArray|Uint8Array} rgba - width * height RGBA pixels.
+     * @param {number} delay - Display time in ms (GIF stores hundredths of a second).
+     */
+    addFrame(rgba, delay) {
+        const pixelCount = this.width * this.height;
+        const histogram = new Uint32Array(32768);
+        let hasTransparency = false;
+
+        for (let i = 0; i < pixelCount * 4; i += 4) {
+            if (rgba[i + 3] < 128) hasTransparency = true;
+            else histogram[colorKey(rgba, i)]++;
+        }
+
+        // One entry is kept for transparency
+        const palette = buildPalette(histogram, hasTransparency ? 255 : 256);
+        const transparentIndex = hasTransparency ? palette.length : -1;
+        if (hasTransparency) palette.push([0, 0, 0]);
+
+        const cache = new Int16Array(32768).fill(-1);
+        const indices = new Uint8Array(pixelCount);
+        for (let p = 0, i = 0; p < pixelCount; p++, i += 4) {
+            if (rgba[i + 3] < 128) {
+                indices[p] = transparentIndex;
+                continue;
+            }
+            const key = colorKey(rgba, i);
+            if (cache[key] < 0) cache[key] = this._nearest(palette, key, hasTransparency);
+            indices[p] = cache[key];
+        }
+
+        // Color table size is a power of two (at least 2 entries)
+        let tableBits = 1;
+        while (1 << tableBits < palette.length) tableBits++;
+        const table = new Uint8Array(3 << tableBits);
+        palette.forEach((color, i) => table.set(color, i * 3));
+
+        const delayCs = Math.max(2, Math.round(delay / 10));
+        const minCodeSize = Math.max(2, tableBits);
+
+        this._bytes(
+            // Graphic control extension: restore to background, so transparent pixels don't show the previous frame
+            [0x21, 0xf9, 0x04, (2 << 2) | (hasTransparency ? 1 : 0)], this._u16(delayCs), [Math.max(transparentIndex, 0), 0x00],
+            // Image descriptor with a local color table
+            [0x2c], this._u16(0), this._u16(0), this._u16(this.width), this._u16(this.height), [0x80 | (tableBits - 1)]
+        );
+        this.chunks.push(table);
+
+        const data = lzwEncode(indices, minCodeSize);
+        const blocks = new Uint8Array(1 + data.length + Math.ceil(data.length / 255) + 1);
+        let offset = 0;
+        blocks[offset++] = minCodeSize;
+        for (let i = 0; i < data.length; i += 255) {
+            const size = Math.min(255, data.length - i);
+            blocks[offset++] = size;
+            blocks.set(data.slice(i, i + size), offset);
+            offset += size;
+        }
+        blocks[offset] = 0;
+        this.chunks.push(blocks);
+    }
+
+    /**
+     * @returns {Uint8Array} The GIF file.
+     */
+    finish() {
+        this._bytes([0x3b]);
+        const length = this.chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const file = new Uint8Array(length);
+        let offset = 0;
+        this.chunks.forEach(chunk => {
+            file.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return file;
+    }
+
+    _nearest(palette, key, hasTransparency) {
+        const r = expand(key >> 10);
+        const g = expand((key >> 5) & 31);
+        const b = expand(key & 31);
+        const count = hasTransparency ? palette.length - 1 : palette.length;
+
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < count; i++) {
+            const [pr, pg, pb] = palette[i];
+            const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+        return best;
+    }
+
+    _u16(value) {
+        return [value & 0xff, (value >> 8) & 0xff];
+    }
+
+    _bytes(...arrays) {
+        arrays.forEach(bytes => this.chunks.push(Uint8Array.from(bytes)));
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * Rotation limits for the character joints, as [min, max] radians per Euler axis (XYZ order).
+ * Axes without a range are free. The character faces +Z and its right side is -X, so raising
+ * the right arm sideways is a negative Z rotation and swinging a limb forward is a negative X rotation.
+ * @type {Object<string, {x?: Array<number>, y?: Array<number>, z?: Array<number>}>}
+ */
+export const DEFAULT_JOINT_LIMITS = {
+    head: { x: [-1.4, 1.4], y: [-1.4, 1.4], z: [-0.6, 0.6] },
+    rightArm: { x: [-3.14, 1.2], y: [-1.6, 1.6], z: [-3.14, 0.35] },
+    leftArm: { x: [-3.14, 1.2], y: [-1.6, 1.6], z: [-0.35, 3.14] },
+    rightLeg: { x: [-1.8, 0.8], y: [-0.8, 0.8], z: [-1.2, 0.3] },
+    leftLeg: { x: [-1.8, 0.8], y: [-0.8, 0.8], z: [-0.3, 1.2] },
+    // Elbows and knees (bendable limbs) are hinges: elbows bend forward, knees backward
+    rightLowerArm: { x: [-2.6, 0], y: [0, 0], z: [0, 0] },
+    leftLowerArm: { x: [-2.6, 0], y: [0, 0], z: [0, 0] },
+    rightLowerLeg: { x: [0, 2.6], y: [0, 0], z: [0, 0] },
+    leftLowerLeg: { x: [0, 2.6], y: [0, 0], z: [0, 0] }
+};
+
+/**
+ * Clamps a rotation to joint limits in place.
+ * @param {THREE.Euler} rotation
+ * @param {{x?: Array<number>, y?: Array<number>, z?: Array<number>}|null} limits
+ * @returns {boolean} True if the rotation was changed.
+ */
+export function clampRotation(rotation, limits) {
+    if (!limits) return false;
+
+    let changed = false;
+    ['x', 'y', 'z'].forEach(axis => {
+        const range = limits[axis];
+        if (!range) return;
+
+        const value = Math.min(Math.max(rotation[axis], range[0]), range[1]);
+        if (value !== rotation[axis]) {
+            rotation[axis] = value;
+            changed = true;
+        }
+    });
+
+    return changed;
+}
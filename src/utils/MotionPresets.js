@@ -0,0 +1,97 @@
+/**
+ * Procedural motion presets.
+ * Each preset is a function of time that returns additive offsets in the SkinModel.getPose() format
+ * (rotations in radians, positions in skin pixels). Offsets are added on top of the current base pose.
+ *
+ * @callback MotionPreset
+ * @param {number} t - Elapsed time in seconds (already multiplied by speed).
+ * @param {number} a - Amplitude multiplier (1.0 = natural motion).
+ * @returns {Object} Pose offsets, e.g. { head: { rot: [x, y, z] }, root: { pos: [x, y, z] } }
+ */
+
+const TAU = Math.PI * 2;
+
+/** @type {Object<string, MotionPreset>} */
+export const MotionPresets = {
+    idle: (t, a) => {
+        const breath = Math.sin(t * TAU * 0.25);
+        const sway = Math.cos(t * TAU * 0.3) * 0.04 * a + 0.04 * a;
+        return {
+            head: { rot: [breath * 0.02 * a, 0, 0] },
+            rightArm: { rot: [Math.sin(t * TAU * 0.2) * 0.04 * a, 0, -sway] },
+            leftArm: { rot: [-Math.sin(t * TAU * 0.2) * 0.04 * a, 0, sway] },
+            root: { pos: [0, breath * 0.1 * a, 0] }
+        };
+    },
+
+    walk: (t, a) => {
+        const swing = Math.sin(t * TAU);
+        return {
+            rightLeg: { rot: [swing * 0.7 * a, 0, 0] },
+            leftLeg: { rot: [-swing * 0.7 * a, 0, 0] },
+            rightArm: { rot: [-swing * 0.6 * a, 0, 0] },
+            leftArm: { rot: [swing * 0.6 * a, 0, 0] },
+            head: { rot: [0, swing * 0.05 * a, 0] },
+            root: { pos: [0, Math.abs(Math.cos(t * TAU)) * 0.4 * a, 0] }
+        };
+    },
+
+    run: (t, a) => {
+        const swing = Math.sin(t * TAU * 1.6);
+        return {
+            rightLeg: { rot: [swing * 1.1 * a, 0, 0] },
+            leftLeg: { rot: [-swing * 1.1 * a, 0, 0] },
+            rightArm: { rot: [-swing * 1.2 * a, 0, 0.1 * a] },
+            leftArm: { rot: [swing * 1.2 * a, 0, -0.1 * a] },
+            head: { rot: [0.1 * a, 0, 0] },
+            root: { pos: [0, Math.abs(Math.cos(t * TAU * 1.6)) * 1.0 * a, 0] }
+        };
+    },
+
+    wave: (t, a) => ({
+        rightArm: { rot: [0, 0, -2.7 * a + Math.sin(t * TAU * 1.5) * 0.35 * a] },
+        head: { rot: [0, -0.15 * a, Math.sin(t * TAU * 0.75) * 0.05 * a] }
+    }),
+
+    crouch: (t, a) => {
+        const breath = Math.sin(t * TAU * 0.25) * 0.02;
+        return {
+            body: { rot: [0.5 * a, 0, 0] },
+            head: { pos: [0, -1 * a, 0], rot: [breath * a, 0, 0] },
+            rightArm: { rot: [0.4 * a, 0, 0], pos: [0, -1 * a, 0] },
+            leftArm: { rot: [0.4 * a, 0, 0], pos: [0, -1 * a, 0] },
+            rightLeg: { pos: [0, 0, -4 * a] },
+            leftLeg: { pos: [0, 0, -4 * a] }
+        };
+    },
+
+    dance: (t, a) => {
+        const beat = Math.sin(t * TAU);
+        return {
+            rightArm: { rot: [0, 0, -1.2 * a - beat * 1.0 * a] },
+            leftArm: { rot: [0, 0, 1.2 * a - beat * 1.0 * a] },
+            head: { rot: [0, 0, beat * 0.2 * a] },
+            rightLeg: { rot: [0, 0, Math.max(0, beat) * 0.3 * a] },
+            leftLeg: { rot: [0, 0, Math.min(0, beat) * 0.3 * a] },
+            root: { rot: [0, beat * 0.3 * a, 0], pos: [0, Math.abs(beat) * 0.6 * a, 0] }
+        };
+    },
+
+    cheer: (t, a) => {
+        const pump = Math.abs(Math.sin(t * TAU * 1.2));
+        return {
+            rightArm: { rot: [0, 0, -2.6 * a - pump * 0.3 * a] },
+            leftArm: { rot: [0, 0, 2.6 * a + pump * 0.3 * a] },
+            head: { rot: [-0.2 * a, 0, 0] },
+            root: { pos: [0, pump * 1.0 * a, 0] }
+        };
+    },
+
+    nod: (t, a) => ({
+        head: { rot: [Math.sin(t * TAU * 1.5) * 0.3 * a, 0, 0] }
+    }),
+
+    shake: (t, a) => ({
+        head: { rot: [0, Math.sin(t * TAU * 1.5) * 0.45 * a, 0] }
+    })
+};
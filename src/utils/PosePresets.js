@@ -0,0 +1,39 @@
+/**
+ * Built-in poses for the PoseLibraryPlugin, in the SkinModel.getPose() format (rotations in radians).
+ * Parts that are not listed stay in their rest position when a preset is applied in full.
+ * @type {Object<string, Object>}
+ */
+export const PosePresets = {
+    standing: {},
+
+    walk: {
+        rightArm: { rot: [-0.6, 0, 0] },
+        leftArm: { rot: [0.6, 0, 0] },
+        rightLeg: { rot: [0.7, 0, 0] },
+        leftLeg: { rot: [-0.7, 0, 0] }
+    },
+
+    wave: {
+        head: { rot: [0, -0.15, 0] },
+        rightArm: { rot: [0, 0, -2.7] }
+    },
+
+    point: {
+        head: { rot: [0, -0.2, 0] },
+        rightArm: { rot: [-1.5, -0.2, 0] }
+    },
+
+    cheer: {
+        head: { rot: [-0.2, 0, 0] },
+        rightArm: { rot: [0, 0, -2.6] },
+        leftArm: { rot: [0, 0, 2.6] }
+    },
+
+    sit: {
+        rightArm: { rot: [-0.3, 0, 0] },
+        leftArm: { rot: [-0.3, 0, 0] },
+        rightLeg: { rot: [-1.5, 0.1, 0] },
+        leftLeg: { rot: [-1.5, -0.1, 0] },
+        root: { pos: [0, -10, 0] }
+    }
+};
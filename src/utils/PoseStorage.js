@@ -0,0 +1,90 @@
+/**
+ * Storage adapters for the PoseLibraryPlugin.
+ * Any object implementing the same async methods (list, get, set, delete) can be used,
+ * e.g. to keep poses on a server.
+ */
+
+/**
+ * Keeps poses in memory (lost on page reload). Default storage.
+ */
+export class MemoryPoseStorage {
+    constructor() {
+        /** @type {Map<string, Object>} */
+        this.poses = new Map();
+    }
+
+    /**
+     * @returns {Promise<Array<{name: string, pose: Object}>>}
+     */
+    async list() {
+        return [...this.poses].map(([name, pose]) => ({ name, pose }));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<Object|null>}
+     */
+    async get(name) {
+        return this.poses.get(name) ?? null;
+    }
+
+    /**
+     * @param {string} name
+     * @param {Object} pose
+     */
+    async set(name, pose) {
+        this.poses.set(name, pose);
+    }
+
+    /**
+     * @param {string} name
+     */
+    async delete(name) {
+        this.poses.delete(name);
+    }
+}
+
+/**
+ * Persists poses in window.localStorage as a single JSON object (name -> pose).
+ */
+export class LocalStoragePoseStorage {
+    /**
+     * @param {string} [key='bucciafico:poses'] - localStorage key.
+     */
+    constructor(key = 'bucciafico:poses') {
+        this.key = key;
+    }
+
+    async list() {
+        return Object.entries(this._read()).map(([name, pose]) => ({ name, pose }));
+    }
+
+    async get(name) {
+        return this._read()[name] ?? null;
+    }
+
+    async set(name, pose) {
+        const poses = this._read();
+        poses[name] = pose;
+        this._write(poses);
+    }
+
+    async delete(name) {
+        const poses = this._read();
+        delete poses[name];
+        this._write(poses);
+    }
+
+    _read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.key)) || {};
+        } catch (e) {
+            console.warn('Corrupted pose library in localStorage, starting empty:', e);
+            return {};
+        }
+    }
+
+    _write(poses) {
+        localStorage.setItem(this.key, JSON.stringify(poses));
+    }
+}
@@ -0,0 +1,144 @@
+import * as THREE from 'three';
+
+const _qA = new THREE.Quaternion();
+const _qB = new THREE.Quaternion();
+const _euler = new THREE.Euler();
+
+const f = (n) => parseFloat(n.toFixed(3));
+
+/**
+ * Linearly interpolates two numeric arrays.
+ */
+export function lerpArray(a, b, t) {
+    return a.map((v, i) => v + (b[i] - v) * t);
+}
+
+/**
+ * Interpolates two Euler rotations (radians, XYZ) along the shortest arc.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @param {number} t
+ * @returns {number[]}
+ */
+export function slerpRotation(a, b, t) {
+    _qA.setFromEuler(_euler.set(a[0], a[1], a[2]));
+    _qB.setFromEuler(_euler.set(b[0], b[1], b[2]));
+    _qA.slerp(_qB, t);
+    _euler.setFromQuaternion(_qA);
+    return [_euler.x, _euler.y, _euler.z];
+}
+
+/**
+ * Interpolates between two poses in the format produced by SkinModel.getPose().
+ * Missing values fall back to the rest pose (zero rotation, unit scale, default pivot position).
+ *
+ * @param {Object} poseA
+ * @param {Object} poseB
+ * @param {number} t - Progress (0..1).
+ * @param {Object<string, THREE.Vector3>} [defaultPositions] - Rest positions of part pivots.
+ * @returns {Object} Interpolated pose.
+ */
+export function lerpPose(poseA = {}, poseB = {}, t, defaultPositions = {}) {
+    const result = {};
+    const names = new Set([...Object.keys(poseA), ...Object.keys(poseB)]);
+
+    names.forEach(name => {
+        const a = poseA[name] || {};
+        const b = poseB[name] || {};
+        const restPos = defaultPositions[name] ? defaultPositions[name].toArray() : [0, 0, 0];
+
+        const data = {};
+        if (a.rot || b.rot) {
+            data.rot = slerpRotation(a.rot || [0, 0, 0], b.rot || [0, 0, 0], t).map(f);
+        }
+        if (a.pos || b.pos) {
+            data.pos = lerpArray(a.pos || restPos, b.pos || restPos, t).map(f);
+        }
+        if (a.scl || b.scl) {
+            data.scl = lerpArray(a.scl || [1, 1, 1], b.scl || [1, 1, 1], t).map(f);
+        }
+        result[name] = data;
+    });
+
+    return result;
+}
+
+/**
+ * Interpolates between two item snapshots (ItemsPlugin.getSnapshot()).
+ * Only items present in both snapshots are interpolated; others keep their state from snapshot A.
+ *
+ * @param {Array<Object>} itemsA
+ * @param {Array<Object>} itemsB
+ * @param {number} t
+ * @returns {Array<Object>}
+ */
+export function lerpItems(itemsA = [], itemsB = [], t) {
+    return itemsA.map(a => {
+        const b = itemsB.find(i => i.uuid === a.uuid);
+        if (!b) return a;
+
+        return {
+            ...a,
+            pos: lerpArray(a.pos, b.pos, t),
+            rot: [...slerpRotation(a.rot, b.rot, t), a.rot[3] || 'XYZ'],
+            scale: lerpArray(a.scale, b.scale, t)
+        };
+    });
+}
+
+/**
+ * Named groups of parts accepted wherever a part list is expected.
+ */
+export const PART_GROUPS = {
+    arms: ['rightArm', 'leftArm', 'rightLowerArm', 'leftLowerArm'],
+    legs: ['rightLeg', 'leftLeg', 'rightLowerLeg', 'leftLowerLeg'],
+    wings: ['rightWing', 'leftWing'],
+    upperBody: ['head', 'body', 'rightArm', 'leftArm', 'rightLowerArm', 'leftLowerArm']
+};
+
+/**
+ * Expands part names and group names (see PART_GROUPS) into a list of part names.
+ * @param {Array<string>} names
+ * @returns {Array<string>}
+ */
+export function expandParts(names) {
+    return [...new Set(names.flatMap(name => PART_GROUPS[name] || [name]))];
+}
+
+/**
+ * Returns the subset of a pose for the given parts (and 'root' if listed).
+ * @param {Object} pose
+ * @param {Array<string>} parts - Part or group names.
+ * @returns {Object}
+ */
+export function pickPose(pose, parts) {
+    const names = expandParts(parts);
+    const result = {};
+    for (const [name, data] of Object.entries(pose)) {
+        if (names.includes(name)) result[name] = data;
+    }
+    return result;
+}
+
+/**
+ * Mirrors a pose across the character's vertical center plane:
+ * left and right parts swap, X positions and the Y/Z rotation angles are negated.
+ * @param {Object} pose - Pose in SkinModel.getPose() format.
+ * @returns {Object} Mirrored pose.
+ */
+export function mirrorPose(pose) {
+    const swapSide = (name) => name.replace(/left|right|Left|Right/, (side) => ({
+        left: 'right', right: 'left', Left: 'Right', Right: 'Left'
+    })[side]);
+
+    const result = {};
+    for (const [name, data] of Object.entries(pose)) {
+        const mirrored = {};
+        if (data.pos) mirrored.pos = [f(-data.pos[0]), data.pos[1], data.pos[2]];
+        if (data.rot) mirrored.rot = [data.rot[0], f(-data.rot[1]), f(-data.rot[2]), ...data.rot.slice(3)];
+        if (data.scl) mirrored.scl = [...data.scl];
+
+        result[swapSide(name)] = mirrored;
+    }
+    return result;
+}
@@ -0,0 +1,63 @@
+/**
+ * Skin texture layout of the player model, shared by the 3D model (SkinModel) and the 2D avatar renderer.
+ * Texture coordinates are in skin pixels of a 64x64 skin (multiply by layout.scale for HD skins),
+ * positions in model units (1 unit = 1 skin pixel). Plain data, no Three.js, so it also loads on servers.
+ */
+
+/**
+ * Body parts of the player model in their rest pose.
+ * @param {boolean} [isSlim=false] - Alex model (3px arms).
+ * @param {boolean} [legacy=false] - 64x32 skin: left limbs mirror the right ones.
+ * @returns {Object<string, {uv: {inner: {x: number, y: number}, outer: {x: number, y: number}, mirror?: boolean},
+ *          size: {w: number, h: number, d: number}, pivot: Array<number>, offset: Array<number>}>}
+ *          pivot is the joint position, offset the box center relative to the joint.
+ */
+export function getSkinParts(isSlim = false, legacy = false) {
+    const armW = isSlim ? 3 : 4;
+    const armOff = isSlim ? 5.0 : 6.0;
+
+    const parts = {
+        head: { uv: { inner: { x: 0, y: 0 }, outer: { x: 32, y: 0 } }, size: { w: 8, h: 8, d: 8 }, pivot: [0, 0, 0], offset: [0, 4, 0] },
+        body: { uv: { inner: { x: 16, y: 16 }, outer: { x: 16, y: 32 } }, size: { w: 8, h: 12, d: 4 }, pivot: [0, 0, 0], offset: [0, -6, 0] },
+        rightArm: { uv: { inner: { x: 40, y: 16 }, outer: { x: 40, y: 32 } }, size: { w: armW, h: 12, d: 4 }, pivot: [-armOff, -2, 0], offset: [0, -4, 0] },
+        leftArm: { uv: { inner: { x: 32, y: 48 }, outer: { x: 48, y: 48 } }, size: { w: armW, h: 12, d: 4 }, pivot: [armOff, -2, 0], offset: [0, -4, 0] },
+        rightLeg: { uv: { inner: { x: 0, y: 16 }, outer: { x: 0, y: 32 } }, size: { w: 4, h: 12, d: 4 }, pivot: [-1.9, -12, 0], offset: [0, -6, 0] },
+        leftLeg: { uv: { inner: { x: 16, y: 48 }, outer: { x: 0, y: 48 } }, size: { w: 4, h: 12, d: 4 }, pivot: [1.9, -12, 0], offset: [0, -6, 0] }
+    };
+
+    // Legacy 64x32 skins have no left limb regions (and no outer layer except on the head)
+    if (legacy) {
+        parts.leftArm.uv = { ...parts.rightArm.uv, mirror: true };
+        parts.leftLeg.uv = { ...parts.rightLeg.uv, mirror: true };
+    }
+
+    return parts;
+}
+
+/**
+ * Texture rectangles of the six faces of a box, in the standard cube unwrap starting at (x, y).
+ * Faces are named after the side of the model they cover: 'right' is the model's right side (-X),
+ * 'front' faces +Z. Texture columns run left to right as seen from outside the box; the bottom face
+ * is stored upside down (flipY).
+ * @param {number} x - Top left corner of the unwrap.
+ * @param {number} y
+ * @param {number} w - Box width (X).
+ * @param {number} h - Box height (Y).
+ * @param {number} d - Box depth (Z).
+ * @param {boolean} [mirror=false] - Mirrored boxes (legacy left limbs) swap the side regions and flip every face horizontally.
+ * @param {number} [rowOffset=0] - First row of the side faces, for boxes covering part of a limb (bendable limbs).
+ * @returns {Object<string, {x: number, y: number, w: number, h: number, flipX: boolean, flipY: boolean}>}
+ */
+export function getBoxFaces(x, y, w, h, d, mirror = false, rowOffset = 0) {
+    const sideY = y + d + rowOffset;
+    const rect = (rx, ry, rw, rh, flipY = false) => ({ x: rx, y: ry, w: rw, h: rh, flipX: mirror, flipY });
+
+    return {
+        right: rect(mirror ? x + d + w : x, sideY, d, h),
+        left: rect(mirror ? x : x + d + w, sideY, d, h),
+        top: rect(x + d, y, w, d),
+        bottom: rect(x + d + w, y, w, d, true),
+        front: rect(x + d, sideY, w, h),
+        back: rect(x + d + w + d, sideY, w, h)
+    };
+}
@@ -1,3 +1,5 @@
+import { getBoxFaces } from './SkinLayout.js';
+
 /**
  * Calculates UV coordinates for standard Minecraft skin layout.
  */
@@ -20,18 +22,20 @@ export function getUV(x, y, w, h, imgW = 64, imgH = 64) {
  * @param {number} d - Depth
  * @param {number} [imgW=64] - Texture Width
  * @param {number} [imgH=64] - Texture Height
+ * @param {boolean} [mirror=false] - Mirror horizontally (legacy left limbs reuse the right limb texture).
+ * @param {number} [rowOffset=0] - First row of the side faces, for boxes covering part of a limb (bendable limbs).
  */
-export function applySkinUVs(geometry, x, y, w, h, d, imgW = 64, imgH = 64) {
+export function applySkinUVs(geometry, x, y, w, h, d, imgW = 64, imgH = 64, mirror = false, rowOffset = 0) {
     const uvAttr = geometry.attributes.uv;
 
-    const map = (idx, uX, uY, uW, uH, flipX = false, flipY = false) => {
-        const uv = getUV(uX, uY, uW, uH, imgW, imgH);
+    const map = (idx, face) => {
+        const uv = getUV(face.x, face.y, face.w, face.h, imgW, imgH);
         const i = idx * 4;
 
-        const u0 = flipX ? uv.u1 : uv.u0;
-        const u1 = flipX ? uv.u0 : uv.u1;
-        const v0 = flipY ? uv.v1 : uv.v0;
-        const v1 = flipY ? uv.v0 : uv.v1;
+        const u0 = face.flipX ? uv.u1 : uv.u0;
+        const u1 = face.flipX ? uv.u0 : uv.u1;
+        const v0 = face.flipY ? uv.v1 : uv.v0;
+        const v1 = face.flipY ? uv.v0 : uv.v1;
 
         uvAttr.setXY(i+0, u0, v1);
         uvAttr.setXY(i+1, u1, v1);
@@ -39,28 +43,67 @@ export function applySkinUVs(geometry, x, y, w, h, d, imgW = 64, imgH = 64) {
         uvAttr.setXY(i+3, u1, v0);
     };
 
-    map(0, x + d + w, y + d, d, h); // Right
-    map(1, x, y + d, d, h); // Left
-    map(2, x + d, y, w, d); // Top
-    map(3, x + d + w, y, w, d, false, true); // Bottom
-    map(4, x + d, y + d, w, h); // Front
-    map(5, x + d + w + d, y + d, w, h); // Back
+    // BoxGeometry face order: +X (the model's left side), -X, +Y, -Y, +Z, -Z
+    const faces = getBoxFaces(x, y, w, h, d, mirror, rowOffset);
+    map(0, faces.left);
+    map(1, faces.right);
+    map(2, faces.top);
+    map(3, faces.bottom);
+    map(4, faces.front);
+    map(5, faces.back);
 
     uvAttr.needsUpdate = true;
 }
 
 /**
- * Detects if a skin is Slim (Alex model) by checking the pixel at (55, 20).
+ * Detects the texture layout of a skin image.
+ * Legacy (pre-1.8) skins are 64x32: they have no left arm/leg regions and no outer layer except the hat.
+ * HD skins (128x128 and larger) keep the same layout with more texels per skin pixel.
+ * @param {HTMLImageElement} image
+ * @returns {{width: number, height: number, scale: number, legacy: boolean}}
+ */
+export function detectSkinLayout(image) {
+    const width = image.width;
+    const height = image.height;
+    return {
+        width,
+        height,
+        scale: width / 64,
+        legacy: height * 2 === width
+    };
+}
+
+/**
+ * Detects if a skin is Slim (Alex model) by checking the skin pixel at (55, 20).
  * If transparent, it's Slim. If opaque, it's Classic.
  * @param {HTMLImageElement} image
+ * @param {number} [scale=1] - Texels per skin pixel (HD skins).
  * @returns {boolean} True if Slim.
  */
-export function detectSlimSkin(image) {
+export function detectSlimSkin(image, scale = 1) {
     const canvas = document.createElement('canvas');
     canvas.width = image.width;
     canvas.height = image.height;
     const ctx = canvas.getContext('2d');
     ctx.drawImage(image, 0, 0);
-    // Check specific pixel transparency
-    return ctx.getImageData(55, 20, 1, 1).data[3] === 0;
-}
\ No newline at end of file
+    return detectSlimSkinPixels(ctx.getImageData(0, 0, image.width, image.height), scale);
+}
+
+/**
+ * detectSlimSkin() on pixels that are already read, without a DOM (servers, workers).
+ * @param {ImageData|{width: number, height: number, data: Uint8ClampedArray}} imageData
+ * @param {number} [scale=1] - Texels per skin pixel (HD skins).
+ * @returns {boolean} True if Slim.
+ */
+export function detectSlimSkinPixels(imageData, scale = 1) {
+    // Check specific pixel transparency (the whole texel block on HD skins)
+    const size = Math.max(1, Math.floor(scale));
+    const x0 = Math.floor(55 * scale);
+    const y0 = Math.floor(20 * scale);
+    for (let y = y0; y < y0 + size; y++) {
+        for (let x = x0; x < x0 + size; x++) {
+            if (imageData.data[(y * imageData.width + x) * 4 + 3] !== 0) return false;
+        }
+    }
+    return true;
+}
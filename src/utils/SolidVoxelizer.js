@@ -0,0 +1,259 @@
+import * as THREE from 'three';
+
+/**
+ * Builds closed, printable meshes by resampling boxes into a shared voxel volume.
+ * Overlapping parts are merged (union), enclosed cavities are filled and the surface is extracted
+ * with welded vertices, so the result is a single watertight, 2-manifold mesh.
+ *
+ * Cells store 0 when empty, otherwise FILLED | 0xRRGGBB.
+ */
+
+const FILLED = 0x1000000;
+const MAX_CELLS = 16 * 1024 * 1024;
+
+/**
+ * Quads per face direction: neighbor offset and the 4 corner offsets (counter-clockwise seen from outside).
+ */
+const FACES = [
+    { dir: [1, 0, 0], corners: [[1, 0, 0], [1, 1, 0], [1, 1, 1], [1, 0, 1]] },
+    { dir: [-1, 0, 0], corners: [[0, 0, 0], [0, 0, 1], [0, 1, 1], [0, 1, 0]] },
+    { dir: [0, 1, 0], corners: [[0, 1, 0], [0, 1, 1], [1, 1, 1], [1, 1, 0]] },
+    { dir: [0, -1, 0], corners: [[0, 0, 0], [1, 0, 0], [1, 0, 1], [0, 0, 1]] },
+    { dir: [0, 0, 1], corners: [[0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]] },
+    { dir: [0, 0, -1], corners: [[0, 0, 0], [0, 1, 0], [1, 1, 0], [1, 0, 0]] }
+];
+
+/**
+ * For every occupancy pattern of a 2x2x2 block (bit = x + 2y + 4z), whether the surface around the
+ * shared corner is manifold: filled cells and empty cells must each form one face-connected group.
+ */
+const MANIFOLD_BLOCK = (() => {
+    const countGroups = (mask, bits) => {
+        let seen = 0;
+        let groups = 0;
+        for (let start = 0; start < 8; start++) {
+            if (((mask >> start) & 1) !== bits || (seen >> start) & 1) continue;
+            groups++;
+            const stack = [start];
+            seen |= 1 << start;
+            while (stack.length) {
+                const c = stack.pop();
+                for (const axis of [1, 2, 4]) {
+                    const n = c ^ axis;
+                    if (((mask >> n) & 1) === bits && !((seen >> n) & 1)) {
+                        seen |= 1 << n;
+                        stack.push(n);
+                    }
+                }
+            }
+        }
+        return groups;
+    };
+
+    const table = new Uint8Array(256);
+    for (let mask = 0; mask < 256; mask++) {
+        table[mask] = countGroups(mask, 1) <= 1 && countGroups(mask, 0) <= 1 ? 1 : 0;
+    }
+    return table;
+})();
+
+/**
+ * Creates an empty volume covering the given bounds. Cell centers are aligned to multiples of the
+ * voxel size, so axis-aligned boxes on the skin pixel grid are sampled without ambiguity.
+ * @param {THREE.Box3} bounds - World-space bounds of everything that will be rasterized.
+ * @param {number} voxelSize - Edge length of one cell in world units (skin pixels).
+ * @returns {{cells: Uint32Array, nx: number, ny: number, nz: number, origin: THREE.Vector3, voxelSize: number}}
+ */
+export function createVolume(bounds, voxelSize) {
+    // One empty cell of padding on every side keeps the outside connected
+    const origin = bounds.min.clone().divideScalar(voxelSize).floor().subScalar(1).multiplyScalar(voxelSize);
+    const nx = Math.ceil((bounds.max.x - origin.x) / voxelSize) + 1;
+    const ny = Math.ceil((bounds.max.y - origin.y) / voxelSize) + 1;
+    const nz = Math.ceil((bounds.max.z - origin.z) / voxelSize) + 1;
+
+    if (nx * ny * nz > MAX_CELLS) {
+        throw new Error(`Volume too large (${nx}x${ny}x${nz}), increase the voxel size`);
+    }
+
+    return { cells: new Uint32Array(nx * ny * nz), nx, ny, nz, origin, voxelSize };
+}
+
+/**
+ * Fills all cells whose center lies inside a (possibly transformed) box. Later boxes overwrite the color
+ * of earlier ones. Containment is half-open, so adjacent boxes never claim the same cell twice or leave gaps.
+ * @param {Object} volume - Result of createVolume().
+ * @param {THREE.Matrix4} matrix - Box local space -> world space.
+ * @param {THREE.Vector3} min - Local box min.
+ * @param {THREE.Vector3} max - Local box max.
+ * @param {function(THREE.Vector3): number} colorAt - Returns 0xRRGGBB for a local point, or -1 to leave the cell empty.
+ */
+export function rasterizeBox(volume, matrix, min, max, colorAt) {
+    const { cells, nx, ny, nz, origin, voxelSize } = volume;
+
+    const worldBox = new THREE.Box3(min, max).applyMatrix4(matrix);
+    const inverse = matrix.clone().invert();
+
+    const lo = worldBox.min.clone().sub(origin).divideScalar(voxelSize).subScalar(0.5).ceil();
+    const hi = worldBox.max.clone().sub(origin).divideScalar(voxelSize).subScalar(0.5).floor();
+
+    const local = new THREE.Vector3();
+
+    for (let k = Math.max(0, lo.z); k <= Math.min(nz - 1, hi.z); k++) {
+        for (let j = Math.max(0, lo.y); j <= Math.min(ny - 1, hi.y); j++) {
+            for (let i = Math.max(0, lo.x); i <= Math.min(nx - 1, hi.x); i++) {
+                local.set(
+                    origin.x + (i + 0.5) * voxelSize,
+                    origin.y + (j + 0.5) * voxelSize,
+                    origin.z + (k + 0.5) * voxelSize
+                ).applyMatrix4(inverse);
+
+                if (local.x < min.x || local.x >= max.x ||
+                    local.y < min.y || local.y >= max.y ||
+                    local.z < min.z || local.z >= max.z) continue;
+
+                const color = colorAt(local);
+                if (color < 0) continue;
+
+                cells[i + nx * (j + ny * k)] = FILLED | color;
+            }
+        }
+    }
+}
+
+/**
+ * Fills every empty cell that can't be reached from the outside (hollow insides of boxes, air pockets).
+ * @param {Object} volume
+ */
+export function fillCavities(volume) {
+    const { cells, nx, ny, nz } = volume;
+    const total = cells.length;
+    const outside = new Uint8Array(total);
+    const queue = new Int32Array(total);
+    let head = 0;
+    let tail = 0;
+
+    const visit = (index) => {
+        if (!cells[index] && !outside[index]) {
+            outside[index] = 1;
+            queue[tail++] = index;
+        }
+    };
+
+    for (let k = 0; k < nz; k++) {
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                if (i === 0 || j === 0 || k === 0 || i === nx - 1 || j === ny - 1 || k === nz - 1) {
+                    visit(i + nx * (j + ny * k));
+                }
+            }
+        }
+    }
+
+    while (head < tail) {
+        const index = queue[head++];
+        const i = index % nx;
+        const j = Math.floor(index / nx) % ny;
+        const k = Math.floor(index / (nx * ny));
+
+        if (i > 0) visit(index - 1);
+        if (i < nx - 1) visit(index + 1);
+        if (j > 0) visit(index - nx);
+        if (j < ny - 1) visit(index + nx);
+        if (k > 0) visit(index - nx * ny);
+        if (k < nz - 1) visit(index + nx * ny);
+    }
+
+    for (let index = 0; index < total; index++) {
+        if (!cells[index] && !outside[index]) cells[index] = FILLED | 0x808080;
+    }
+}
+
+/**
+ * Removes non-manifold edges and vertices (cells touching only along an edge or a corner)
+ * by filling the empty cells around them, repeated until the surface is clean.
+ * @param {Object} volume
+ * @param {number} [maxPasses=16]
+ */
+export function makeManifold(volume, maxPasses = 16) {
+    const { cells, nx, ny, nz } = volume;
+    const block = new Int32Array(8);
+
+    for (let pass = 0; pass < maxPasses; pass++) {
+        let changed = false;
+
+        for (let k = 0; k < nz - 1; k++) {
+            for (let j = 0; j < ny - 1; j++) {
+                for (let i = 0; i < nx - 1; i++) {
+                    let mask = 0;
+                    for (let b = 0; b < 8; b++) {
+                        block[b] = (i + (b & 1)) + nx * ((j + ((b >> 1) & 1)) + ny * (k + (b >> 2)));
+                        if (cells[block[b]]) mask |= 1 << b;
+                    }
+                    if (MANIFOLD_BLOCK[mask]) continue;
+
+                    const color = cells[block[Math.log2(mask & -mask)]];
+                    for (let b = 0; b < 8; b++) {
+                        if (!cells[block[b]]) cells[block[b]] = color;
+                    }
+                    changed = true;
+                }
+            }
+        }
+
+        if (!changed) return;
+    }
+}
+
+/**
+ * Extracts the boundary between filled and empty cells as an indexed triangle mesh.
+ * Vertices on the cell lattice are shared, so neighbouring faces are welded.
+ * @param {Object} volume
+ * @returns {{positions: Float32Array, indices: Uint32Array, colors: Uint32Array}} Colors are 0xRRGGBB per triangle.
+ */
+export function extractSurface(volume) {
+    const { cells, nx, ny, nz, origin, voxelSize } = volume;
+
+    const vertexMap = new Map();
+    const positions = [];
+    const indices = [];
+    const colors = [];
+
+    const getVertex = (i, j, k) => {
+        const key = i + (nx + 1) * (j + (ny + 1) * k);
+        let index = vertexMap.get(key);
+        if (index === undefined) {
+            index = positions.length / 3;
+            vertexMap.set(key, index);
+            positions.push(origin.x + i * voxelSize, origin.y + j * voxelSize, origin.z + k * voxelSize);
+        }
+        return index;
+    };
+
+    const isFilled = (i, j, k) => {
+        if (i < 0 || j < 0 || k < 0 || i >= nx || j >= ny || k >= nz) return false;
+        return cells[i + nx * (j + ny * k)] !== 0;
+    };
+
+    for (let k = 0; k < nz; k++) {
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const cell = cells[i + nx * (j + ny * k)];
+                if (!cell) continue;
+
+                FACES.forEach(face => {
+                    if (isFilled(i + face.dir[0], j + face.dir[1], k + face.dir[2])) return;
+
+                    const [a, b, c, d] = face.corners.map(o => getVertex(i + o[0], j + o[1], k + o[2]));
+                    indices.push(a, b, c, a, c, d);
+                    colors.push(cell & 0xffffff, cell & 0xffffff);
+                });
+            }
+        }
+    }
+
+    return {
+        positions: new Float32Array(positions),
+        indices: new Uint32Array(indices),
+        colors: new Uint32Array(colors)
+    };
+}
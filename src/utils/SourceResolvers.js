@@ -0,0 +1,108 @@
+/**
+ * Built-in skin and cape source resolvers.
+ * A resolver turns a player query into a texture URL. It returns null when it can't serve the query
+ * (unknown player, unsupported kind) and throws on network errors, so the SourceManager can fall back
+ * to the next resolver in line.
+ *
+ * @callback SourceResolver
+ * @param {{username?: string, uuid?: string}} query - Player to resolve. UUIDs are lowercase, without dashes.
+ * @param {{kind: 'skin'|'cape', fetch: Function}} context - Requested texture and the fetch implementation to use.
+ * @returns {Promise<string|null>|string|null} Texture URL.
+ */
+
+/**
+ * Resolver for custom endpoints and mirrors.
+ * Placeholders: {username}, {uuid} and {id} (uuid if known, otherwise username).
+ * Queries missing a placeholder's value are skipped.
+ * @param {string} template - e.g. 'https://cdn.example.com/skins/{username}.png'
+ * @returns {SourceResolver}
+ */
+export function createTemplateResolver(template) {
+    return (query) => {
+        const values = { username: query.username, uuid: query.uuid, id: query.uuid ?? query.username };
+        let missing = false;
+
+        const url = template.replace(/\{(username|uuid|id)\}/g, (_, key) => {
+            if (!values[key]) missing = true;
+            return encodeURIComponent(values[key] ?? '');
+        });
+
+        return missing ? null : url;
+    };
+}
+
+/**
+ * Skins from minotar.net (accepts usernames and UUIDs).
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl='https://minotar.net']
+ * @returns {SourceResolver}
+ */
+export function createMinotarResolver(options = {}) {
+    const baseUrl = options.baseUrl ?? 'https://minotar.net';
+
+    return (query) => {
+        const id = query.uuid ?? query.username;
+        return id ? `${baseUrl}/skin/${encodeURIComponent(id)}.png` : null;
+    };
+}
+
+/**
+ * Official skins and capes from the Mojang session server.
+ * Mojang does not send CORS headers, so in browsers point the URLs at your own proxy.
+ * @param {Object} [options]
+ * @param {string} [options.apiUrl='https://api.mojang.com'] - Username -> UUID lookup.
+ * @param {string} [options.sessionUrl='https://sessionserver.mojang.com'] - UUID -> textures.
+ * @returns {SourceResolver}
+ */
+export function createMojangResolver(options = {}) {
+    const apiUrl = options.apiUrl ?? 'https://api.mojang.com';
+    const sessionUrl = options.sessionUrl ?? 'https://sessionserver.mojang.com';
+
+    return async (query, { kind, fetch }) => {
+        let uuid = query.uuid;
+
+        if (!uuid) {
+            const response = await fetch(`${apiUrl}/users/profiles/minecraft/${encodeURIComponent(query.username)}`);
+            if (response.status === 204 || response.status === 404) return null;
+            if (!response.ok) throw new Error(`Mojang profile lookup failed (Status: ${response.status})`);
+            uuid = (await response.json()).id;
+        }
+
+        const response = await fetch(`${sessionUrl}/session/minecraft/profile/${uuid}`);
+        if (response.status === 204 || response.status === 404) return null;
+        if (!response.ok) throw new Error(`Mojang session lookup failed (Status: ${response.status})`);
+
+        const profile = await response.json();
+        const property = (profile.properties || []).find(p => p.name === 'textures');
+        if (!property) return null;
+
+        const textures = JSON.parse(atob(property.value)).textures || {};
+        const texture = kind === 'cape' ? textures.CAPE : textures.SKIN;
+        return texture?.url ?? null;
+    };
+}
+
+/**
+ * Capes from capes.dev (Official, Optifine, LabyMod, TLauncher...).
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl='https://api.capes.dev']
+ * @param {Array<string>} [options.providers] - capes.dev providers in order of priority.
+ * @returns {SourceResolver}
+ */
+export function createCapesDevResolver(options = {}) {
+    const baseUrl = options.baseUrl ?? 'https://api.capes.dev';
+    const providers = options.providers ?? ['minecraft', 'optifine', 'labymod', 'tlauncher'];
+
+    return async (query, { kind, fetch }) => {
+        if (kind !== 'cape') return null;
+
+        const response = await fetch(`${baseUrl}/load/${encodeURIComponent(query.uuid ?? query.username)}`);
+        if (!response.ok) {
+            throw new Error(`User not found in capes.dev (Status: ${response.status})`);
+        }
+
+        const data = await response.json();
+        const provider = providers.find(p => data[p]?.exists && data[p]?.imageUrl);
+        return provider ? data[provider].imageUrl : null;
+    };
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { sharedCache } from '../managers/ResourceCache.js';
 
 /**
  * Generates a default gray placeholder texture for the Steve model.
@@ -20,4 +21,66 @@ export function createPlaceholderTexture() {
     texture.colorSpace = THREE.SRGBColorSpace;
 
     return texture;
-}
\ No newline at end of file
+}
+
+/**
+ * Reads the RGBA pixels of an image (or canvas).
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+export function getImagePixels(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+
+    return { data: ctx.getImageData(0, 0, image.width, image.height).data, width: image.width, height: image.height };
+}
+
+/**
+ * Cache key of a texture source. Data URLs are hashed instead of being used as (huge) keys.
+ * @param {string} url
+ * @returns {string}
+ */
+export function getSourceKey(url) {
+    if (!url.startsWith('data:')) return url;
+
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < url.length; i++) {
+        hash ^= url.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `data:${url.length}:${(hash >>> 0).toString(16)}`;
+}
+
+/**
+ * Loads a pixel-art texture through the shared cache. Repeated and concurrent requests for the same
+ * source return the same texture. Release it with releaseTexture() instead of disposing it.
+ * @param {string} url
+ * @returns {Promise<THREE.Texture>}
+ */
+export function acquireTexture(url) {
+    const key = getSourceKey(url);
+
+    return sharedCache.acquire(key, () => new Promise((resolve, reject) => {
+        const loader = new THREE.TextureLoader();
+        loader.setCrossOrigin('anonymous');
+
+        loader.load(url, (texture) => {
+            texture.magFilter = THREE.NearestFilter;
+            texture.colorSpace = THREE.SRGBColorSpace;
+            texture.userData.cacheKey = key;
+            resolve(texture);
+        }, undefined, reject);
+    }), texture => texture.dispose());
+}
+
+/**
+ * Drops a reference taken with acquireTexture(). Non-cached textures are ignored.
+ * @param {THREE.Texture|null} texture
+ */
+export function releaseTexture(texture) {
+    if (texture?.userData.cacheKey) sharedCache.release(texture.userData.cacheKey);
+}
@@ -1,13 +1,22 @@
+import { sharedCache } from '../managers/ResourceCache.js';
+
 /**
  * Recursively disposes of a Three.js object and its children.
  * Frees memory for Geometries, Materials, and Textures.
+ * Resources owned by the ResourceCache (userData.cacheKey) are left alone, and cache references
+ * held by objects (userData.cacheRef) are released.
  * @param {THREE.Object3D} object - The object to clean up.
  */
 export function disposeObjectTree(object) {
     if (!object) return;
 
     object.traverse((child) => {
-        if (child.geometry) {
+        if (child.userData.cacheRef) {
+            sharedCache.release(child.userData.cacheRef);
+            delete child.userData.cacheRef;
+        }
+
+        if (child.geometry && !child.geometry.userData.cacheKey) {
             child.geometry.dispose();
         }
 
@@ -16,7 +25,7 @@ export function disposeObjectTree(object) {
 
             materials.forEach((mat) => {
                 for (const key in mat) {
-                    if (mat[key] && mat[key].isTexture) {
+                    if (mat[key] && mat[key].isTexture && !mat[key].userData.cacheKey) {
                         mat[key].dispose();
                     }
                 }
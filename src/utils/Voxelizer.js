@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getBoxFaces } from './SkinLayout.js';
 
 let cachedCanvas = null;
 let cachedCtx = null;
@@ -6,14 +7,18 @@ let cachedCtx = null;
 function getImageData(image) {
     if (!cachedCanvas) {
         cachedCanvas = document.createElement('canvas');
-        cachedCanvas.width = 64;
-        cachedCanvas.height = 64;
         cachedCtx = cachedCanvas.getContext('2d', { willReadFrequently: true });
     }
 
-    cachedCtx.clearRect(0, 0, 64, 64);
+    const { width, height } = image;
+    if (cachedCanvas.width !== width || cachedCanvas.height !== height) {
+        cachedCanvas.width = width;
+        cachedCanvas.height = height;
+    }
+
+    cachedCtx.clearRect(0, 0, width, height);
     cachedCtx.drawImage(image, 0, 0);
-    return cachedCtx.getImageData(0, 0, 64, 64).data;
+    return cachedCtx.getImageData(0, 0, width, height).data;
 }
 
 const CUBE = {
@@ -58,15 +63,30 @@ const CUBE = {
 /**
  * Converts the 2nd layer of a skin (Hat, Jacket) into 3D Voxels.
  * Optimized version: Direct buffer manipulation instead of object merging.
+ * HD skins produce one voxel per texel, so voxels shrink to 1/scale of a skin pixel.
  *
  * @param {THREE.Texture} texture
  * @param {Object} layerDef - Definition of UVs and dimensions.
+ * @param {number} [layerDef.scale=1] - Texels per skin pixel (texture width / 64).
+ * @param {{offset: number, height: number}} [layerDef.segment] - Rows of the part covered by this layer
+ *        (bendable limbs). Top/bottom voxels are only kept on the segment that contains them.
  * @returns {THREE.BufferGeometry|null} Merged geometry of all voxels.
  */
 export function createVoxelLayer(texture, layerDef) {
     const imgData = getImageData(texture.image);
+    const imgW = texture.image.width;
+    const imgH = texture.image.height;
     const { outer } = layerDef.uv;
-    const { w, h, d } = layerDef.size;
+    const { w, d } = layerDef.size;
+    const segment = layerDef.segment ?? { offset: 0, height: layerDef.size.h };
+    const h = segment.height;
+
+    // Face dimensions in texels, p = size of one texel in skin pixels
+    const s = layerDef.scale ?? 1;
+    const p = 1 / s;
+    const W = w * s, H = h * s, D = d * s;
+    // Texture regions in texels; side faces start at the segment's first row
+    const rects = getBoxFaces(outer.x * s, outer.y * s, W, H, D, false, segment.offset * s);
 
     const positions = [];
     const normals = [];
@@ -76,8 +96,8 @@ export function createVoxelLayer(texture, layerDef) {
     let vertexOffset = 0;
 
     const addVoxel = (cx, cy, cz, sx, sy, sz, u, v) => {
-        const uCoord = (u + 0.5) / 64;
-        const vCoord = 1.0 - (v + 0.5) / 64;
+        const uCoord = (u + 0.5) / imgW;
+        const vCoord = 1.0 - (v + 0.5) / imgH;
 
         for (let i = 0; i < 24; i++) {
             const vx = CUBE.vertices[i * 3] * sx + cx;
@@ -98,54 +118,56 @@ export function createVoxelLayer(texture, layerDef) {
     const faces = [
         // Face 0: Front (Z+)
         {
-            u: outer.x + d, v: outer.y + d, width: w, height: h,
-            pos: (i, j) => ({ x: i - w/2 + 0.5, y: j - h/2 + 0.5, z: d/2 + 0.25 }),
+            u: rects.front.x, v: rects.front.y, width: W, height: H,
+            pos: (i, j) => ({ x: (i - W/2 + 0.5) * p, y: (j - H/2 + 0.5) * p, z: d/2 + 0.25 }),
             scale: { z: 0.5 }
         },
         // Face 1: Back (Z-)
         {
-            u: outer.x + d + w + d, v: outer.y + d, width: w, height: h,
-            pos: (i, j) => ({ x: -(i - w/2 + 0.5), y: j - h/2 + 0.5, z: -d/2 - 0.25 }),
+            u: rects.back.x, v: rects.back.y, width: W, height: H,
+            pos: (i, j) => ({ x: -(i - W/2 + 0.5) * p, y: (j - H/2 + 0.5) * p, z: -d/2 - 0.25 }),
             scale: { z: 0.5 }
         },
         // Face 2: Right UV / Left 3D (X-)
         {
-            u: outer.x, v: outer.y + d, width: d, height: h,
-            pos: (i, j) => ({ x: -w/2 - 0.25, y: j - h/2 + 0.5, z: i - d/2 + 0.5 }),
+            u: rects.right.x, v: rects.right.y, width: D, height: H,
+            pos: (i, j) => ({ x: -w/2 - 0.25, y: (j - H/2 + 0.5) * p, z: (i - D/2 + 0.5) * p }),
             scale: { x: 0.5 }
         },
         // Face 3: Left UV / Right 3D (X+)
         {
-            u: outer.x + d + w, v: outer.y + d, width: d, height: h,
-            pos: (i, j) => ({ x: w/2 + 0.25, y: j - h/2 + 0.5, z: -(i - d/2 + 0.5) }),
+            u: rects.left.x, v: rects.left.y, width: D, height: H,
+            pos: (i, j) => ({ x: w/2 + 0.25, y: (j - H/2 + 0.5) * p, z: -(i - D/2 + 0.5) * p }),
             scale: { x: 0.5 }
         },
         // Face 4: Top (Y+)
-        {
-            u: outer.x + d, v: outer.y, width: w, height: d,
-            pos: (i, j) => ({ x: i - w/2 + 0.5, y: h/2 + 0.25, z: -(j - d/2 + 0.5) }),
+        segment.offset === 0 && {
+            u: rects.top.x, v: rects.top.y, width: W, height: D,
+            pos: (i, j) => ({ x: (i - W/2 + 0.5) * p, y: h/2 + 0.25, z: -(j - D/2 + 0.5) * p }),
             scale: { y: 0.5 }
         },
         // Face 5: Bottom (Y-)
-        {
-            u: outer.x + d + w, v: outer.y, width: w, height: d,
-            pos: (i, j) => ({ x: i - w/2 + 0.5, y: -h/2 - 0.25, z: (d - 1 - j) - d/2 + 0.5 }),
+        segment.offset + segment.height === layerDef.size.h && {
+            u: rects.bottom.x, v: rects.bottom.y, width: W, height: D,
+            pos: (i, j) => ({ x: (i - W/2 + 0.5) * p, y: -h/2 - 0.25, z: ((D - 1 - j) - D/2 + 0.5) * p }),
             scale: { y: 0.5 }
         }
     ];
 
-    faces.forEach(f => {
+    faces.filter(Boolean).forEach(f => {
         for (let i = 0; i < f.width; i++) {
             for (let j = 0; j < f.height; j++) {
                 const u = f.u + i;
                 const v = f.v + j;
 
-                const alphaIndex = (v * 64 + u) * 4 + 3;
+                if (u >= imgW || v >= imgH) continue;
+
+                const alphaIndex = (v * imgW + u) * 4 + 3;
                 if (imgData[alphaIndex] > 0) {
                     const pos = f.pos(i, (f.height - 1) - j);
-                    const sx = f.scale?.x ?? 1;
-                    const sy = f.scale?.y ?? 1;
-                    const sz = f.scale?.z ?? 1;
+                    const sx = f.scale?.x ?? p;
+                    const sy = f.scale?.y ?? p;
+                    const sz = f.scale?.z ?? p;
                     addVoxel(pos.x, pos.y, pos.z, sx, sy, sz, u, v);
                 }
             }